@@ -10,7 +10,46 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(100) NOT NULL UNIQUE,
   password VARCHAR(100) NOT NULL,
   address VARCHAR(400),
+  street VARCHAR(200),
+  city VARCHAR(100),
+  region VARCHAR(100),
+  postal_code VARCHAR(20),
+  country VARCHAR(100),
   role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'user', 'store_owner')),
+  email_verified_at TIMESTAMP WITH TIME ZONE,
+  totp_secret VARCHAR(64),
+  totp_pending_secret VARCHAR(64),
+  totp_enabled_at TIMESTAMP WITH TIME ZONE,
+  totp_last_used_step BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email verification state for databases created before it existed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- TOTP two-factor authentication state for databases created before it existed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+-- Structured address parts for databases created before they existed
+-- (run migrate-addresses.js to fill them from the free-text address)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS street VARCHAR(200);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS postal_code VARCHAR(20);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS country VARCHAR(100);
+
+-- Brands Table (chains whose stores are branches; the brand owner edits them and replies to their ratings)
+CREATE TABLE IF NOT EXISTS brands (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(60) NOT NULL UNIQUE,
+  slug VARCHAR(60) NOT NULL UNIQUE,
+  description VARCHAR(400),
+  website VARCHAR(255),
+  owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -21,22 +60,430 @@ CREATE TABLE IF NOT EXISTS stores (
   name VARCHAR(60) NOT NULL,
   email VARCHAR(100) NOT NULL UNIQUE,
   address VARCHAR(400),
+  street VARCHAR(200),
+  city VARCHAR(100),
+  region VARCHAR(100),
+  postal_code VARCHAR(20),
+  country VARCHAR(100),
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
   owner_id INTEGER REFERENCES users(id),
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  merged_into_id INTEGER REFERENCES stores(id) ON DELETE SET NULL,
+  search_vector TSVECTOR,
+  verified_at TIMESTAMP WITH TIME ZONE,
+  brand_id INTEGER REFERENCES brands(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Store coordinates for databases created before they existed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180);
+
+-- Structured address parts for databases created before they existed
+-- (run migrate-addresses.js to fill them from the free-text address)
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS street VARCHAR(200);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS postal_code VARCHAR(20);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS country VARCHAR(100);
+
+-- Store time zone (opening hours are local to it) for databases created before it existed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- Archival state (deleted stores are archived, purging removes them for good)
+-- for databases created before it existed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Store a duplicate was merged into (its ID redirects there) for databases
+-- created before it existed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS merged_into_id INTEGER REFERENCES stores(id) ON DELETE SET NULL;
+
+-- Full-text search document (kept up to date by the triggers below) for
+-- databases created before it existed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- When the store was verified as run by the actual business (NULL if it
+-- isn't) for databases created before it existed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Brand (chain) the store is a branch of for databases created before it existed
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS brand_id INTEGER REFERENCES brands(id) ON DELETE SET NULL;
+
 -- Ratings Table
 CREATE TABLE IF NOT EXISTS ratings (
   id SERIAL PRIMARY KEY,
   user_id INTEGER NOT NULL REFERENCES users(id),
   store_id INTEGER NOT NULL REFERENCES stores(id),
   rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+  comment TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   UNIQUE (user_id, store_id)
 );
 
+-- Review text for databases created before it existed
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS comment TEXT;
+
+-- Refresh Tokens Table (only SHA-256 hashes are stored; a family is one login session)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  family_id UUID NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Password Reset Tokens Table (single-use, only SHA-256 hashes are stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email Verification Tokens Table (single-use, only SHA-256 hashes are stored)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login Throttles Table (failed login counters per account email and per client IP)
+CREATE TABLE IF NOT EXISTS login_throttles (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(10) NOT NULL CHECK (scope IN ('email', 'ip')),
+  key VARCHAR(255) NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP WITH TIME ZONE,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  UNIQUE (scope, key)
+);
+
+-- Lockout Events Table (audit trail of temporary lockouts for admins)
+CREATE TABLE IF NOT EXISTS lockout_events (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(10) NOT NULL,
+  key VARCHAR(255) NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  failed_count INTEGER NOT NULL,
+  locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+  cleared_at TIMESTAMP WITH TIME ZONE,
+  cleared_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-Factor Recovery Codes Table (one-time codes, only SHA-256 hashes are stored)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Used Login Challenges Table (two-factor login challenges are single-use,
+-- rows can be dropped once expired)
+CREATE TABLE IF NOT EXISTS used_login_challenges (
+  jti VARCHAR(64) PRIMARY KEY,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-Factor Policies Table (roles that must use 2FA)
+CREATE TABLE IF NOT EXISTS two_factor_policies (
+  role VARCHAR(20) PRIMARY KEY CHECK (role IN ('admin', 'user', 'store_owner')),
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Categories Table (managed by admins)
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(60) NOT NULL UNIQUE,
+  slug VARCHAR(60) NOT NULL UNIQUE,
+  description VARCHAR(400),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store Categories Table
+CREATE TABLE IF NOT EXISTS store_categories (
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  PRIMARY KEY (store_id, category_id)
+);
+
+-- Store Tags Table (free-form, stored lowercase)
+CREATE TABLE IF NOT EXISTS store_tags (
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  tag VARCHAR(50) NOT NULL,
+  PRIMARY KEY (store_id, tag)
+);
+
+-- Store Owner Invitations Table (invite links carry a single-use token, only its hash is stored)
+CREATE TABLE IF NOT EXISTS store_invitations (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  email VARCHAR(100) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store Ownership Transfers Table (started by the owner or an admin, confirmed by the recipient)
+CREATE TABLE IF NOT EXISTS store_transfers (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  from_owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  to_owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  initiated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  responded_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Store Ownership History Table (one row per ownership period, ended_at is NULL for the current owner)
+CREATE TABLE IF NOT EXISTS store_ownership_history (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  transfer_id INTEGER REFERENCES store_transfers(id) ON DELETE SET NULL
+);
+
+-- Store Opening Hours Table (weekly, day_of_week 0 = Sunday; closes_at <= opens_at closes after midnight)
+CREATE TABLE IF NOT EXISTS store_opening_hours (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+  opens_at TIME NOT NULL,
+  closes_at TIME NOT NULL
+);
+
+-- Store Hours Exceptions Table (holidays: closed all day or special hours for one date)
+CREATE TABLE IF NOT EXISTS store_hours_exceptions (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  closed BOOLEAN NOT NULL DEFAULT true,
+  opens_at TIME,
+  closes_at TIME,
+  note VARCHAR(200),
+  UNIQUE (store_id, date),
+  CHECK (closed OR (opens_at IS NOT NULL AND closes_at IS NOT NULL))
+);
+
+-- Store Photos Table (files live in the storage driver, position is the gallery order)
+CREATE TABLE IF NOT EXISTS store_photos (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  storage_key VARCHAR(255) NOT NULL,
+  thumbnail_key VARCHAR(255) NOT NULL,
+  content_type VARCHAR(50) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  position INTEGER NOT NULL DEFAULT 0,
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store Claims Table (users asking to become the owner of an unowned store, reviewed by admins)
+CREATE TABLE IF NOT EXISTS store_claims (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  evidence TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+  rejection_reason TEXT,
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store Verification Requests Table (owners asking for the verified badge, reviewed by admins)
+CREATE TABLE IF NOT EXISTS store_verification_requests (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  notes TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+  rejection_reason TEXT,
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store Verification Documents Table (files kept in private storage)
+CREATE TABLE IF NOT EXISTS store_verification_documents (
+  id SERIAL PRIMARY KEY,
+  request_id INTEGER NOT NULL REFERENCES store_verification_requests(id) ON DELETE CASCADE,
+  storage_key VARCHAR(255) NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(50) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store Revisions Table (every change to a store with its field diff and the resulting state)
+CREATE TABLE IF NOT EXISTS store_revisions (
+  id SERIAL PRIMARY KEY,
+  store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'owner_change', 'archive', 'restore', 'revert')),
+  changes JSONB NOT NULL DEFAULT '{}',
+  snapshot JSONB NOT NULL,
+  reverted_from INTEGER REFERENCES store_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rating Replies Table (the store owner's public reply to a rating, one per rating)
+CREATE TABLE IF NOT EXISTS rating_replies (
+  id SERIAL PRIMARY KEY,
+  rating_id INTEGER NOT NULL UNIQUE REFERENCES ratings(id) ON DELETE CASCADE,
+  author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body VARCHAR(1000) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store full-text search. A store's search_vector combines its name
+-- (weight A), category names (B), address (C) and review text (D) and is
+-- rebuilt whenever one of them changes.
+CREATE OR REPLACE FUNCTION refresh_store_search_vector(p_store_id INTEGER) RETURNS VOID AS $$
+  UPDATE stores s
+  SET search_vector =
+    setweight(to_tsvector('english', COALESCE(s.name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(
+      (SELECT string_agg(c.name, ' ')
+       FROM store_categories sc
+       JOIN categories c ON sc.category_id = c.id
+       WHERE sc.store_id = s.id),
+      ''
+    )), 'B') ||
+    setweight(to_tsvector('english',
+      concat_ws(' ', s.address, s.street, s.city, s.region, s.postal_code, s.country)
+    ), 'C') ||
+    setweight(to_tsvector('english', COALESCE(
+      (SELECT string_agg(r.comment, ' ') FROM ratings r WHERE r.store_id = s.id),
+      ''
+    )), 'D')
+  WHERE s.id = p_store_id;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION stores_search_vector_trigger() RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_store_search_vector(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- For rows that belong to a store (category links, ratings)
+CREATE OR REPLACE FUNCTION store_child_search_vector_trigger() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM refresh_store_search_vector(OLD.store_id);
+  END IF;
+  IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.store_id <> OLD.store_id) THEN
+    PERFORM refresh_store_search_vector(NEW.store_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION categories_search_vector_trigger() RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_store_search_vector(sc.store_id)
+  FROM store_categories sc
+  WHERE sc.category_id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stores_search_vector ON stores;
+CREATE TRIGGER stores_search_vector
+  AFTER INSERT OR UPDATE OF name, address, street, city, region, postal_code, country ON stores
+  FOR EACH ROW EXECUTE FUNCTION stores_search_vector_trigger();
+
+DROP TRIGGER IF EXISTS store_categories_search_vector ON store_categories;
+CREATE TRIGGER store_categories_search_vector
+  AFTER INSERT OR UPDATE OR DELETE ON store_categories
+  FOR EACH ROW EXECUTE FUNCTION store_child_search_vector_trigger();
+
+DROP TRIGGER IF EXISTS ratings_search_vector ON ratings;
+CREATE TRIGGER ratings_search_vector
+  AFTER INSERT OR UPDATE OF comment, store_id OR DELETE ON ratings
+  FOR EACH ROW EXECUTE FUNCTION store_child_search_vector_trigger();
+
+DROP TRIGGER IF EXISTS categories_search_vector ON categories;
+CREATE TRIGGER categories_search_vector
+  AFTER UPDATE OF name ON categories
+  FOR EACH ROW EXECUTE FUNCTION categories_search_vector_trigger();
+
+-- Build the search document of stores from before it existed
+SELECT refresh_store_search_vector(id) FROM stores WHERE search_vector IS NULL;
+
+-- Role Permissions Table (role to named permission mapping, editable by admins)
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'user', 'store_owner')),
+  permission VARCHAR(100) NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+-- Default permissions (mirrors src/config/permissions.js)
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'users:manage'),
+  ('admin', 'stores:create'),
+  ('admin', 'stores:update'),
+  ('admin', 'stores:delete'),
+  ('admin', 'ratings:moderate'),
+  ('admin', 'dashboard:admin'),
+  ('admin', 'security:manage'),
+  ('admin', 'permissions:manage'),
+  ('admin', 'invitations:manage'),
+  ('admin', 'stores:transfer'),
+  ('admin', 'categories:manage'),
+  ('admin', 'stores:restore'),
+  ('admin', 'stores:purge'),
+  ('admin', 'claims:review'),
+  ('admin', 'stores:revert'),
+  ('admin', 'stores:merge'),
+  ('admin', 'stores:import'),
+  ('admin', 'data:export'),
+  ('admin', 'verifications:review'),
+  ('admin', 'brands:manage'),
+  ('admin', 'brands:update'),
+  ('store_owner', 'stores:create'),
+  ('store_owner', 'stores:update:own'),
+  ('store_owner', 'stores:transfer:own'),
+  ('store_owner', 'dashboard:store_owner'),
+  ('store_owner', 'brands:update:own'),
+  ('store_owner', 'stores:reply:own'),
+  ('user', 'ratings:create')
+ON CONFLICT DO NOTHING;
+
 -- Sample Users
 INSERT INTO users (name, email, password, address, role) VALUES 
   ('System Administrator', 'admin@example.com', '$2b$10$X5Z7LPDhP1Y3N6QP1C8iW.Uy9Yt5WGZy3VBGh9YrLo8V1McZR9uMm', '123 Admin Street', 'admin'),
@@ -51,11 +498,51 @@ INSERT INTO users (name, email, password, address, role) VALUES
   ('User', 'user@storetracking.com', '$2b$10$Q0Qw6Qw6Qw6Qw6Qw6Qw6QeQw6Qw6Qw6Qw6Qw6Qw6Qw6Qw6Qw6Qw6', 'User Address', 'user'),
   ('Store Owner', 'store@storetracking.com', '$2b$10$Q0Qw6Qw6Qw6Qw6Qw6Qw6QeQw6Qw6Qw6Qw6Qw6Qw6Qw6Qw6Qw6Qw6', 'Store Owner Address', 'store_owner');
 
--- Sample Stores (assigning owners)
-INSERT INTO stores (name, email, address, owner_id) VALUES 
-  ('Coffee Shop', 'coffee@example.com', '123 Coffee Street', 2),
-  ('Book Store', 'books@example.com', '456 Book Avenue', 3),
-  ('Electronics Store', 'electronics@example.com', '789 Tech Boulevard', 2);
+-- Sample and pre-existing accounts are treated as verified
+UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email_verified_at IS NULL;
+
+-- Sample Stores (assigning owners, coordinates match the static geocoder)
+INSERT INTO stores (name, email, address, street, city, region, postal_code, country, latitude, longitude, time_zone, owner_id) VALUES 
+  ('Coffee Shop', 'coffee@example.com', '123 Coffee Street', '123 Coffee Street', 'New York', 'NY', '10007', 'US', 40.7128, -74.006, 'America/New_York', 2),
+  ('Book Store', 'books@example.com', '456 Book Avenue', '456 Book Avenue', 'New York', 'NY', '10003', 'US', 40.7306, -73.9866, 'America/New_York', 3),
+  ('Electronics Store', 'electronics@example.com', '789 Tech Boulevard', '789 Tech Boulevard', 'New York', 'NY', '10036', 'US', 40.758, -73.9855, 'America/New_York', 2);
+
+-- Sample Categories, Tags and Opening Hours
+INSERT INTO categories (name, slug, description) VALUES
+  ('Cafe', 'cafe', 'Coffee shops, tea rooms and cafes'),
+  ('Books', 'books', 'Book stores and stationery'),
+  ('Electronics', 'electronics', 'Computers, phones and gadgets')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO store_categories (store_id, category_id) VALUES
+  (1, 1),
+  (2, 2),
+  (3, 3)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO store_tags (store_id, tag) VALUES
+  (1, 'wifi'),
+  (1, 'breakfast'),
+  (2, 'second-hand'),
+  (3, 'repairs'),
+  (3, 'wifi')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO store_opening_hours (store_id, day_of_week, opens_at, closes_at) VALUES
+  (1, 1, '07:00', '18:00'), (1, 2, '07:00', '18:00'), (1, 3, '07:00', '18:00'),
+  (1, 4, '07:00', '18:00'), (1, 5, '07:00', '18:00'), (1, 6, '08:00', '16:00'),
+  (2, 2, '10:00', '19:00'), (2, 3, '10:00', '19:00'), (2, 4, '10:00', '19:00'),
+  (2, 5, '10:00', '19:00'), (2, 6, '10:00', '19:00'),
+  (3, 1, '09:00', '21:00'), (3, 2, '09:00', '21:00'), (3, 3, '09:00', '21:00'),
+  (3, 4, '09:00', '21:00'), (3, 5, '09:00', '21:00'), (3, 6, '09:00', '21:00'),
+  (3, 0, '11:00', '18:00');
+
+-- Start the ownership history of stores that don't have one yet
+INSERT INTO store_ownership_history (store_id, owner_id, started_at)
+SELECT s.id, s.owner_id, s.created_at
+FROM stores s
+WHERE s.owner_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM store_ownership_history h WHERE h.store_id = s.id);
 
 -- Sample Ratings
 INSERT INTO ratings (user_id, store_id, rating) VALUES
@@ -80,3 +567,30 @@ GROUP BY s.id, s.name, s.email, s.address;
 CREATE INDEX IF NOT EXISTS idx_ratings_user_id ON ratings(user_id);
 CREATE INDEX IF NOT EXISTS idx_ratings_store_id ON ratings(store_id);
 CREATE INDEX IF NOT EXISTS idx_stores_owner_id ON stores(owner_id);
+CREATE INDEX IF NOT EXISTS idx_stores_location ON stores(latitude, longitude);
+CREATE INDEX IF NOT EXISTS idx_stores_city ON stores(LOWER(city));
+CREATE INDEX IF NOT EXISTS idx_stores_region ON stores(LOWER(region));
+CREATE INDEX IF NOT EXISTS idx_stores_deleted_at ON stores(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_lockout_events_created_at ON lockout_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_store_invitations_store_id ON store_invitations(store_id);
+CREATE INDEX IF NOT EXISTS idx_store_categories_category_id ON store_categories(category_id);
+CREATE INDEX IF NOT EXISTS idx_store_tags_tag ON store_tags(tag);
+CREATE INDEX IF NOT EXISTS idx_store_transfers_store_id ON store_transfers(store_id);
+CREATE INDEX IF NOT EXISTS idx_store_transfers_to_owner_id ON store_transfers(to_owner_id);
+CREATE INDEX IF NOT EXISTS idx_store_ownership_history_store_id ON store_ownership_history(store_id);
+CREATE INDEX IF NOT EXISTS idx_store_opening_hours_store_id ON store_opening_hours(store_id);
+CREATE INDEX IF NOT EXISTS idx_store_photos_store_id ON store_photos(store_id, position);
+CREATE INDEX IF NOT EXISTS idx_store_claims_status ON store_claims(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_claims_pending ON store_claims(store_id, user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_store_revisions_store_id ON store_revisions(store_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_stores_search_vector ON stores USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_store_verification_requests_status ON store_verification_requests(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_verification_requests_pending ON store_verification_requests(store_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_store_verification_documents_request_id ON store_verification_documents(request_id);
+CREATE INDEX IF NOT EXISTS idx_stores_brand_id ON stores(brand_id);
+CREATE INDEX IF NOT EXISTS idx_brands_owner_id ON brands(owner_id);
@@ -0,0 +1,72 @@
+const { Pool } = require("pg");
+const { parseAddress, ADDRESS_COLUMNS } = require("./src/utils/address");
+require("dotenv").config();
+
+// Fills the structured address columns of users and stores from their
+// free-text address. Rows that already have any part set are left alone.
+// Usage: node migrate-addresses.js [--dry-run]
+const dryRun = process.argv.includes("--dry-run");
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  database: process.env.PGDATABASE,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  port: process.env.PGPORT,
+  ssl: {
+    require: process.env.PGSSLMODE === "require",
+  },
+});
+
+const columns = Object.values(ADDRESS_COLUMNS);
+
+async function migrateTable(client, table) {
+  const result = await client.query(
+    `SELECT id, address FROM ${table}
+     WHERE address IS NOT NULL AND address <> ''
+       AND ${columns.map((column) => `${column} IS NULL`).join(" AND ")}`
+  );
+
+  for (const row of result.rows) {
+    const parts = parseAddress(row.address);
+    const values = Object.keys(ADDRESS_COLUMNS).map((part) => parts[part]);
+
+    if (dryRun) {
+      console.log(`${table} #${row.id}: "${row.address}" ->`, parts);
+      continue;
+    }
+
+    await client.query(
+      `UPDATE ${table}
+       SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(", ")}
+       WHERE id = $${columns.length + 1}`,
+      [...values, row.id]
+    );
+  }
+
+  console.log(
+    `${table}: ${result.rows.length} address(es) ${
+      dryRun ? "would be migrated" : "migrated"
+    }`
+  );
+}
+
+async function migrateAddresses() {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await migrateTable(client, "users");
+    await migrateTable(client, "stores");
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+    console.log(dryRun ? "Dry run, nothing was changed" : "Migration done");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error migrating addresses:", err);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateAddresses();
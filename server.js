@@ -5,6 +5,17 @@ const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
 const cookieParser = require("cookie-parser");
+const { corsOptions } = require("./src/config/cors");
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+} = require("./src/middleware/auth");
+const authRoutes = require("./src/routes/auth.routes");
+const {
+  normalizeAddressInput,
+  validateAddressInput,
+} = require("./src/utils/address");
+const { sendVerificationEmail } = require("./src/utils/verificationEmail");
 
 // Load environment variables
 dotenv.config();
@@ -12,6 +23,9 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 
+// Use X-Forwarded-For for req.ip (login throttling) when behind a reverse proxy
+app.set("trust proxy", process.env.TRUST_PROXY === "true");
+
 // Configure PostgreSQL connection pool
 const pool = new Pool({
   host: process.env.PGHOST,
@@ -25,43 +39,28 @@ const pool = new Pool({
 });
 
 // Middleware
-app.use(
-  cors({
-    origin: true, // Allow all origins
-    credentials: true,
-  })
-);
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(cookieParser());
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-
-  if (!token)
-    return res
-      .status(401)
-      .json({ message: "Access denied. No token provided." });
-
-  try {
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: "Invalid token" });
-  }
-};
-
-// Check role middleware
-const checkRole = (roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res
-        .status(403)
-        .json({ message: "Access denied. Insufficient permissions." });
+// Check permission middleware (role to permission mapping in role_permissions)
+const checkPermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        "SELECT 1 FROM role_permissions WHERE role = $1 AND permission = $2",
+        [req.user.role, permission]
+      );
+      if (result.rows.length === 0) {
+        return res
+          .status(403)
+          .json({ message: "Access denied. Insufficient permissions." });
+      }
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      res.status(500).json({ message: "Server error" });
     }
-    next();
   };
 };
 
@@ -70,7 +69,7 @@ const checkRole = (roles) => {
 // Register route (for normal users only)
 app.post("/api/auth/register", async (req, res) => {
   try {
-    const { name, email, password, address } = req.body;
+    const { name, email, password } = req.body;
 
     // Validate input
     if (!name || !email || !password) {
@@ -86,11 +85,10 @@ app.post("/api/auth/register", async (req, res) => {
         .json({ message: "Name must be between 20 and 60 characters" });
     }
 
-    // Validate address length
-    if (address && address.length > 400) {
-      return res
-        .status(400)
-        .json({ message: "Address cannot exceed 400 characters" });
+    // Validate address length (free text or street/city/region/postalCode/country)
+    const addressError = validateAddressInput(req.body);
+    if (addressError) {
+      return res.status(400).json({ message: addressError });
     }
 
     // Validate password
@@ -126,13 +124,35 @@ app.post("/api/auth/register", async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create new user
+    const addressColumns = normalizeAddressInput(req.body) || {};
     const result = await pool.query(
-      "INSERT INTO users (name, email, password, address, role) VALUES ($1, $2, $3, $4, $5) RETURNING id, name, email, role",
-      [name, email, hashedPassword, address, "user"]
+      `INSERT INTO users (name, email, password, address, street, city, region, postal_code, country, role)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id, name, email, role`,
+      [
+        name,
+        email,
+        hashedPassword,
+        addressColumns.address || null,
+        addressColumns.street || null,
+        addressColumns.city || null,
+        addressColumns.region || null,
+        addressColumns.postal_code || null,
+        addressColumns.country || null,
+        "user",
+      ]
     );
 
+    // Ask the user to confirm they own the address (ratings need it). The
+    // account exists at this point, a failed send is only logged.
+    try {
+      await sendVerificationEmail(result.rows[0]);
+    } catch (error) {
+      console.error("Verification email error:", error);
+    }
+
     res.status(201).json({
-      message: "User registered successfully",
+      message:
+        "User registered successfully. Please check your email to verify your account",
       user: result.rows[0],
     });
   } catch (error) {
@@ -141,56 +161,6 @@ app.post("/api/auth/register", async (req, res) => {
   }
 });
 
-// Login route
-app.post("/api/auth/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validate input
-    if (!email || !password) {
-      return res
-        .status(400)
-        .json({ message: "Email and password are required" });
-    }
-
-    // Check if user exists
-    const userResult = await pool.query(
-      "SELECT * FROM users WHERE email = $1",
-      [email]
-    );
-    if (userResult.rows.length === 0) {
-      return res.status(400).json({ message: "Invalid email or password" });
-    }
-
-    const user = userResult.rows[0];
-
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(400).json({ message: "Invalid email or password" });
-    }
-
-    // Create and sign JWT token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
-
-    // Remove password before sending user data
-    const { password: _, ...userWithoutPassword } = user;
-
-    res.status(200).json({
-      message: "Login successful",
-      token,
-      user: userWithoutPassword,
-    });
-  } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
 // Check auth status
 app.get("/api/auth/status", authenticateToken, async (req, res) => {
   try {
@@ -274,13 +244,18 @@ app.put("/api/auth/password", authenticateToken, async (req, res) => {
   }
 });
 
+// Everything else under /api/auth (login with the two-factor step and
+// throttling, logout, session refresh, email verification) is handled by the
+// auth router, so sessions started here are the same as in the modular app
+app.use("/api/auth", authRoutes);
+
 // ============== USER ROUTES ==============
 
 // Get all users (admin only)
 app.get(
   "/api/users",
   authenticateToken,
-  checkRole(["admin"]),
+  checkPermission("users:manage"),
   async (req, res) => {
     try {
       // Get query parameters for filtering
@@ -336,7 +311,7 @@ app.get(
 app.get("/api/stores", async (req, res) => {
   try {
     // Get query parameters for filtering
-    const { name, address } = req.query;
+    const { name, address, city, region } = req.query;
 
     // Base query to get stores with their average ratings
     let query = `
@@ -345,6 +320,11 @@ app.get("/api/stores", async (req, res) => {
         s.name, 
         s.email, 
         s.address, 
+        s.street,
+        s.city,
+        s.region,
+        s.postal_code,
+        s.country,
         s.owner_id,
         COALESCE(AVG(r.rating), 0) as average_rating,
         COUNT(r.id) as rating_count
@@ -352,7 +332,7 @@ app.get("/api/stores", async (req, res) => {
         stores s
       LEFT JOIN 
         ratings r ON s.id = r.store_id
-      WHERE 1=1
+      WHERE s.deleted_at IS NULL
     `;
 
     const params = [];
@@ -371,6 +351,19 @@ app.get("/api/stores", async (req, res) => {
       paramIndex++;
     }
 
+    // City and region match the structured address parts exactly
+    if (city) {
+      query += ` AND LOWER(s.city) = LOWER($${paramIndex})`;
+      params.push(city);
+      paramIndex++;
+    }
+
+    if (region) {
+      query += ` AND LOWER(s.region) = LOWER($${paramIndex})`;
+      params.push(region);
+      paramIndex++;
+    }
+
     // Group by store fields
     query += ` GROUP BY s.id, s.name, s.email, s.address, s.owner_id`;
 
@@ -390,7 +383,7 @@ app.get("/api/stores", async (req, res) => {
         // Get user's ratings for all stores
         const userRatings = await pool.query(
           "SELECT store_id, rating FROM ratings WHERE user_id = $1",
-          [decoded.id]
+          [decoded.userId]
         );
 
         // Create a map of store_id to rating
@@ -416,13 +409,37 @@ app.get("/api/stores", async (req, res) => {
   }
 });
 
+// Get the distinct cities that have stores
+app.get("/api/stores/cities", async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT city, region, country, COUNT(*) as store_count
+      FROM stores
+      WHERE city IS NOT NULL AND deleted_at IS NULL
+      GROUP BY city, region, country
+      ORDER BY city, region
+    `);
+
+    res.status(200).json(
+      result.rows.map((row) => ({
+        ...row,
+        store_count: Number(row.store_count),
+      }))
+    );
+  } catch (error) {
+    console.error("Get cities error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ============== RATING ROUTES ==============
 
 // Submit a rating
 app.post(
   "/api/ratings",
   authenticateToken,
-  checkRole(["user"]),
+  requireVerifiedEmail,
+  checkPermission("ratings:create"),
   async (req, res) => {
     try {
       const { storeId, rating } = req.body;
@@ -444,7 +461,7 @@ app.post(
 
       // Check if store exists
       const storeResult = await pool.query(
-        "SELECT * FROM stores WHERE id = $1",
+        "SELECT * FROM stores WHERE id = $1 AND deleted_at IS NULL",
         [storeId]
       );
       if (storeResult.rows.length === 0) {
@@ -487,12 +504,14 @@ app.post(
 app.get(
   "/api/dashboard/admin",
   authenticateToken,
-  checkRole(["admin"]),
+  checkPermission("dashboard:admin"),
   async (req, res) => {
     try {
       // Get total counts
       const userCount = await pool.query("SELECT COUNT(*) FROM users");
-      const storeCount = await pool.query("SELECT COUNT(*) FROM stores");
+      const storeCount = await pool.query(
+        "SELECT COUNT(*) FROM stores WHERE deleted_at IS NULL"
+      );
       const ratingCount = await pool.query("SELECT COUNT(*) FROM ratings");
 
       res.status(200).json({
@@ -511,12 +530,12 @@ app.get(
 app.get(
   "/api/dashboard/store-owner",
   authenticateToken,
-  checkRole(["store_owner"]),
+  checkPermission("dashboard:store_owner"),
   async (req, res) => {
     try {
-      // Get store owned by user
+      // Get stores owned by user
       const storeResult = await pool.query(
-        "SELECT * FROM stores WHERE owner_id = $1",
+        "SELECT * FROM stores WHERE owner_id = $1 AND deleted_at IS NULL ORDER BY id",
         [req.user.id]
       );
 
@@ -526,22 +545,40 @@ app.get(
           .json({ message: "No store found for this owner" });
       }
 
-      const store = storeResult.rows[0];
+      // ?storeId= switches between owned stores, defaults to the first one
+      let store = storeResult.rows[0];
+      if (req.query.storeId) {
+        store = storeResult.rows.find(
+          (s) => s.id === parseInt(req.query.storeId, 10)
+        );
+
+        if (!store) {
+          return res
+            .status(404)
+            .json({ message: "Store not found for this owner" });
+        }
+      }
 
-      // Get store ratings
+      // Get store ratings with the owner's replies (posted through
+      // /api/stores/:id/ratings/:ratingId/reply)
       const ratingsResult = await pool.query(
         `
       SELECT 
         r.id,
         r.rating,
+        r.comment,
         r.created_at,
         u.id as user_id,
         u.name as user_name,
-        u.email as user_email
+        u.email as user_email,
+        rr.body as reply,
+        rr.updated_at as replied_at
       FROM 
         ratings r
       JOIN 
         users u ON r.user_id = u.id
+      LEFT JOIN 
+        rating_replies rr ON rr.rating_id = r.id
       WHERE 
         r.store_id = $1
       ORDER BY 
@@ -558,6 +595,7 @@ app.get(
 
       res.status(200).json({
         store,
+        stores: storeResult.rows.map((s) => ({ id: s.id, name: s.name })),
         ratings: ratingsResult.rows,
         averageRating: parseFloat(avgRatingResult.rows[0].avg) || 0,
         totalRatings: ratingsResult.rows.length,
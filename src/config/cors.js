@@ -0,0 +1,26 @@
+require("dotenv").config();
+
+// CORS settings shared by both servers. Session cookies are sent
+// cross-origin (credentials), so only the origins listed in CORS_ORIGIN
+// (comma separated) are allowed. Without the list, browsers only get
+// same-origin access: request origins are never reflected.
+const allowedOrigins = (process.env.CORS_ORIGIN || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter((origin) => origin && origin !== "*");
+
+if (!allowedOrigins.length) {
+  console.warn(
+    "CORS_ORIGIN is not set, cross-origin requests will be rejected by browsers"
+  );
+}
+
+const corsOptions = {
+  origin: allowedOrigins.length ? allowedOrigins : false,
+  credentials: true,
+};
+
+module.exports = {
+  allowedOrigins,
+  corsOptions,
+};
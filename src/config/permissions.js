@@ -0,0 +1,78 @@
+// Named permissions that can be granted to roles. A permission ending in
+// ":own" only applies to resources the user owns (see requirePermission in middleware/auth.js).
+const PERMISSIONS = {
+  "users:manage": "Create, view, update and delete user accounts",
+  "stores:create": "Create stores",
+  "stores:update": "Update any store",
+  "stores:update:own": "Update stores the user owns",
+  "stores:delete": "Archive (soft delete) stores",
+  "stores:restore": "View and restore archived stores",
+  "stores:purge": "Permanently delete archived stores and their ratings",
+  "stores:revert": "Revert stores to a previous revision",
+  "stores:merge": "Find duplicate stores and merge them",
+  "stores:import": "Bulk import stores from CSV or JSON",
+  "stores:transfer": "Transfer ownership of any store",
+  "stores:transfer:own": "Transfer ownership of stores the user owns",
+  "stores:reply": "Publicly reply to ratings of any store",
+  "stores:reply:own": "Publicly reply to ratings of stores the user owns",
+  "categories:manage": "Create, update and delete store categories",
+  "claims:review": "Review claims for unowned stores",
+  "verifications:review":
+    "Review store verification requests and revoke verified badges",
+  "brands:manage": "Create and delete brands and assign brand owners",
+  "brands:update": "Update any brand and its list of branches",
+  "brands:update:own":
+    "Update brands the user owns and add or remove their branches",
+  "ratings:create": "Rate stores",
+  "ratings:moderate": "Edit or remove any rating",
+  "dashboard:admin": "View the admin dashboard",
+  "data:export": "Export stores, users and ratings",
+  "dashboard:store_owner": "View the store owner dashboard",
+  "security:manage": "Manage login lockouts and two-factor policies",
+  "permissions:manage": "View and edit the role to permission mapping",
+  "invitations:manage": "Invite store owners and manage invitations",
+};
+
+// Default role to permission mapping (mirrors the seed data in db/schema.sql)
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: [
+    "users:manage",
+    "stores:create",
+    "stores:update",
+    "stores:delete",
+    "ratings:moderate",
+    "dashboard:admin",
+    "security:manage",
+    "permissions:manage",
+    "invitations:manage",
+    "stores:transfer",
+    "categories:manage",
+    "stores:restore",
+    "stores:purge",
+    "claims:review",
+    "stores:revert",
+    "stores:merge",
+    "stores:import",
+    "data:export",
+    "verifications:review",
+    "brands:manage",
+    "brands:update",
+  ],
+  store_owner: [
+    "stores:create",
+    "stores:update:own",
+    "stores:transfer:own",
+    "dashboard:store_owner",
+    "brands:update:own",
+    "stores:reply:own",
+  ],
+  user: ["ratings:create"],
+};
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLES,
+};
@@ -1,14 +1,23 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const db = require("../config/db");
+const tokenModel = require("../models/token.model");
+const permissionModel = require("../models/permission.model");
+const { ACCESS_COOKIE, isValidCsrfRequest } = require("./cookies");
 
 // Secret key for JWT signing - in production, use an environment variable
 const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret_key";
 
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
 // Middleware to authenticate JWT token
 const authenticateToken = (req, res, next) => {
-  // Get the token from the Authorization header
+  // Get the token from the Authorization header, falling back to the session cookie
   const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN format
+  const headerToken = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN format
+  const cookieToken = req.cookies && req.cookies[ACCESS_COOKIE];
+  const token = headerToken || cookieToken;
 
   console.log(
     `Auth middleware - Path: ${req.originalUrl}, Method: ${req.method}`
@@ -22,6 +31,13 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: "Authentication required" });
   }
 
+  // Cookies are sent automatically by the browser, so state-changing
+  // requests authenticated by cookie must also carry the CSRF token
+  if (!headerToken && !isValidCsrfRequest(req)) {
+    console.log("CSRF validation failed for cookie-authenticated request");
+    return res.status(403).json({ message: "Invalid or missing CSRF token" });
+  }
+
   jwt.verify(token, JWT_SECRET, async (err, decoded) => {
     if (err) {
       console.log("JWT verification error:", err.message);
@@ -29,20 +45,32 @@ const authenticateToken = (req, res, next) => {
     }
 
     try {
-      // Check if user still exists in the database
+      // Reject access tokens whose session was revoked (logout or token reuse)
+      if (decoded.sid && !(await tokenModel.isSessionActive(decoded.sid))) {
+        console.log(`Session ${decoded.sid} has been revoked`);
+        return res.status(401).json({ message: "Session has been revoked" });
+      }
+
+      // Check if user still exists in the database (with every store they own)
       const query = `
         SELECT 
           u.id, 
           u.name, 
           u.email, 
           u.role,
-          s.id as store_id
+          u.email_verified_at,
+          COALESCE(
+            array_agg(s.id ORDER BY s.id) FILTER (WHERE s.id IS NOT NULL),
+            '{}'
+          ) as store_ids
         FROM 
           users u
         LEFT JOIN 
           stores s ON u.id = s.owner_id
         WHERE 
           u.id = $1
+        GROUP BY 
+          u.id
       `;
 
       const result = await db.query(query, [decoded.userId]);
@@ -58,7 +86,12 @@ const authenticateToken = (req, res, next) => {
         name: result.rows[0].name,
         email: result.rows[0].email,
         role: result.rows[0].role,
-        storeId: result.rows[0].store_id,
+        // storeId is the first owned store, kept for single-store clients
+        storeId: result.rows[0].store_ids[0] || null,
+        storeIds: result.rows[0].store_ids,
+        emailVerified: !!result.rows[0].email_verified_at,
+        sessionId: decoded.sid,
+        authSource: headerToken ? "header" : "cookie",
       };
 
       console.log(`User authenticated: ${req.user.id}, role: ${req.user.role}`);
@@ -70,66 +103,176 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-// Middleware to authorize admin users
-const authorizeAdmin = (req, res, next) => {
+// Middleware to require a verified email address
+const requireVerifiedEmail = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ message: "Authentication required" });
   }
 
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ message: "Admin privileges required" });
+  if (!req.user.emailVerified) {
+    return res
+      .status(403)
+      .json({ message: "Please verify your email address first" });
   }
 
   next();
 };
 
-// Middleware to authorize store owners
-const authorizeStoreOwner = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ message: "Authentication required" });
-  }
+// Role permissions are cached briefly to avoid a query per check
+const PERMISSION_CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
 
-  if (req.user.role !== "store_owner" && req.user.role !== "admin") {
-    return res.status(403).json({ message: "Store owner privileges required" });
+// Get the permissions of a role (cached)
+const getRolePermissions = async (role) => {
+  const cached = permissionCache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
   }
 
-  next();
+  const permissions = await permissionModel.getPermissionsForRole(role);
+  permissionCache.set(role, {
+    permissions,
+    expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS,
+  });
+  return permissions;
 };
 
-// Middleware to authorize store owners for their own store
-const authorizeStoreAccess = (req, res, next) => {
+// Drop cached permissions after the mapping was edited
+const clearPermissionCache = () => permissionCache.clear();
+
+// Store permissions the owner of a store's brand shares with the store's
+// owner. Anything else, like transferring the store, stays with its owner.
+const BRAND_OWNER_STORE_PERMISSIONS = ["stores:update", "stores:reply"];
+
+// Resolve who owns the resource a request targets for a permission, keyed by
+// the resource part of the permission name. getOwnerIds returns null if it
+// doesn't exist.
+const ownershipResolvers = {
+  stores: {
+    notFoundMessage: "Store not found",
+    getOwnerIds: async (req, permission) => {
+      const result = await db.query(
+        `SELECT s.owner_id, b.owner_id as brand_owner_id
+         FROM stores s
+         LEFT JOIN brands b ON s.brand_id = b.id
+         WHERE s.id = $1`,
+        [req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const { owner_id, brand_owner_id } = result.rows[0];
+      return BRAND_OWNER_STORE_PERMISSIONS.includes(permission)
+        ? [owner_id, brand_owner_id]
+        : [owner_id];
+    },
+  },
+  brands: {
+    notFoundMessage: "Brand not found",
+    getOwnerIds: async (req) => {
+      const result = await db.query(
+        "SELECT owner_id FROM brands WHERE id = $1",
+        [req.params.id]
+      );
+      return result.rows.length ? [result.rows[0].owner_id] : null;
+    },
+  },
+};
+
+// Middleware to require a named permission. A user who only holds the
+// "<permission>:own" variant passes if they own the targeted resource.
+const requirePermission = (permission) => async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ message: "Authentication required" });
   }
 
-  // Admin can access any store
-  if (req.user.role === "admin") {
-    return next();
-  }
+  try {
+    const permissions = await getRolePermissions(req.user.role);
 
-  // Store owners can only access their own store
-  if (req.user.role === "store_owner") {
-    const requestedStoreId = parseInt(req.params.id);
+    if (permissions.includes(permission)) {
+      return next();
+    }
+
+    const resolver = ownershipResolvers[permission.split(":")[0]];
+    if (resolver && permissions.includes(`${permission}:own`)) {
+      const ownerIds = await resolver.getOwnerIds(req, permission);
 
-    if (req.user.storeId !== requestedStoreId) {
-      return res
-        .status(403)
-        .json({ message: "You can only access your own store" });
+      if (!ownerIds) {
+        return res.status(404).json({ message: resolver.notFoundMessage });
+      }
+
+      if (ownerIds.includes(req.user.id)) {
+        return next();
+      }
     }
+
+    return res.status(403).json({
+      message: "You do not have permission to perform this action",
+      permission,
+    });
+  } catch (error) {
+    console.error("Permission check error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
   }
+};
 
-  next();
+// Generate JWT access token bound to a refresh token family (session)
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: "24h" });
+// Generate a short-lived token proving the password step of a login succeeded.
+// purpose is "2fa" (enter a code) or "2fa-setup" (enrollment is mandatory).
+// The jti lets the routes use each challenge only once.
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId, purpose }, JWT_SECRET, {
+    expiresIn: "5m",
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+// Verify a login challenge token, returns { userId, jti, expiresAt } or null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose !== purpose || !decoded.jti) {
+      return null;
+    }
+
+    return {
+      userId: decoded.userId,
+      jti: decoded.jti,
+      expiresAt: new Date(decoded.exp * 1000),
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Start a new session: access token plus the first refresh token of a family
+const issueTokens = async (userId) => {
+  const { refreshToken, familyId, expiresAt } =
+    await tokenModel.createRefreshToken(userId);
+
+  return {
+    token: generateToken(userId, familyId),
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt,
+  };
 };
 
 module.exports = {
   authenticateToken,
-  authorizeAdmin,
-  authorizeStoreOwner,
-  authorizeStoreAccess,
+  requireVerifiedEmail,
+  requirePermission,
+  getRolePermissions,
+  clearPermissionCache,
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
 };
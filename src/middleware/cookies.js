@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Cookie names used by the browser (cookie) session mode
+const ACCESS_COOKIE = "access_token";
+const REFRESH_COOKIE = "refresh_token";
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "x-csrf-token";
+
+// Requests with these methods never change state and skip the CSRF check
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Base cookie options - use COOKIE_SAMESITE=none for cross-site frontends
+const baseCookieOptions = () => ({
+  sameSite: process.env.COOKIE_SAMESITE || "lax",
+  secure:
+    process.env.NODE_ENV === "production" ||
+    process.env.COOKIE_SAMESITE === "none",
+});
+
+// Generate a random CSRF token for the double-submit cookie pattern
+const generateCsrfToken = () => crypto.randomBytes(32).toString("hex");
+
+// Set session cookies after login or refresh, returns the new CSRF token
+const setAuthCookies = (res, { token, refreshToken, refreshTokenExpiresAt }) => {
+  const decoded = jwt.decode(token);
+  const accessMaxAge =
+    decoded && decoded.exp ? decoded.exp * 1000 - Date.now() : undefined;
+
+  res.cookie(ACCESS_COOKIE, token, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    maxAge: accessMaxAge,
+  });
+
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      ...baseCookieOptions(),
+      httpOnly: true,
+      path: "/api/auth",
+      expires: new Date(refreshTokenExpiresAt),
+    });
+  }
+
+  // Readable by the frontend so it can echo it back in the CSRF header
+  const csrfToken = generateCsrfToken();
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseCookieOptions(),
+    httpOnly: false,
+  });
+
+  return csrfToken;
+};
+
+// Remove all session cookies (logout)
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, baseCookieOptions());
+  res.clearCookie(REFRESH_COOKIE, { ...baseCookieOptions(), path: "/api/auth" });
+  res.clearCookie(CSRF_COOKIE, baseCookieOptions());
+};
+
+// Double-submit check: the CSRF header must match the CSRF cookie
+const isValidCsrfRequest = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = req.cookies && req.cookies[CSRF_COOKIE];
+  const headerToken = req.headers[CSRF_HEADER];
+
+  if (!cookieToken || !headerToken) {
+    return false;
+  }
+
+  const expected = Buffer.from(cookieToken);
+  const received = Buffer.from(String(headerToken));
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+// Middleware to enforce CSRF protection on cookie-authenticated requests
+const csrfProtection = (req, res, next) => {
+  if (!isValidCsrfRequest(req)) {
+    return res.status(403).json({ message: "Invalid or missing CSRF token" });
+  }
+
+  next();
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  setAuthCookies,
+  clearAuthCookies,
+  isValidCsrfRequest,
+  csrfProtection,
+};
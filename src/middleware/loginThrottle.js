@@ -0,0 +1,117 @@
+const lockoutModel = require("../models/lockout.model");
+
+// Brute-force protection settings (per account email and per client IP)
+const MAX_ATTEMPTS_PER_ACCOUNT = parseInt(
+  process.env.LOGIN_MAX_ATTEMPTS || "5",
+  10
+);
+const MAX_ATTEMPTS_PER_IP = parseInt(
+  process.env.LOGIN_MAX_ATTEMPTS_PER_IP || "20",
+  10
+);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15", 10);
+const ATTEMPT_WINDOW_MINUTES = parseInt(
+  process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || "15",
+  10
+);
+const BASE_DELAY_MS = parseInt(process.env.LOGIN_BASE_DELAY_MS || "250", 10);
+const MAX_DELAY_MS = parseInt(process.env.LOGIN_MAX_DELAY_MS || "5000", 10);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Delay doubles with every recent failure: 250ms, 500ms, 1s, ... up to MAX_DELAY_MS
+const getDelay = (failedCount) =>
+  failedCount > 0
+    ? Math.min(BASE_DELAY_MS * 2 ** (failedCount - 1), MAX_DELAY_MS)
+    : 0;
+
+const isLocked = (throttle) =>
+  throttle &&
+  throttle.locked_until &&
+  new Date(throttle.locked_until) > new Date();
+
+// Reset the failure counter of an account once its login fully succeeded
+const resetAccountAttempts = (email) =>
+  lockoutModel.resetAttempts("email", String(email).toLowerCase());
+
+// Middleware for the login routes. Rejects locked accounts/addresses, slows
+// down repeated failures and exposes req.loginThrottle so the route can
+// report the outcome of the attempt. The account is the email in the body,
+// or req.loginEmail when an earlier middleware resolved it (two-factor step).
+const loginThrottle = async (req, res, next) => {
+  try {
+    const email = String(req.loginEmail || req.body.email || "").toLowerCase();
+    const ip = req.ip;
+
+    const [emailThrottle, ipThrottle] = await Promise.all([
+      email ? lockoutModel.getThrottle("email", email) : null,
+      lockoutModel.getThrottle("ip", ip),
+    ]);
+
+    const lockedThrottle = [emailThrottle, ipThrottle].find(isLocked);
+    if (lockedThrottle) {
+      const retryAfter = Math.ceil(
+        (new Date(lockedThrottle.locked_until) - Date.now()) / 1000
+      );
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "Too many failed login attempts. Please try again later",
+        lockedUntil: lockedThrottle.locked_until,
+      });
+    }
+
+    const failedCount = Math.max(
+      emailThrottle ? emailThrottle.failed_count : 0,
+      ipThrottle ? ipThrottle.failed_count : 0
+    );
+    const delay = getDelay(failedCount);
+    if (delay > 0) {
+      await sleep(delay);
+    }
+
+    req.loginThrottle = {
+      // Count a failed attempt against both the account and the client address
+      fail: async (userId = null) => {
+        const options = {
+          lockoutMinutes: LOCKOUT_MINUTES,
+          windowMinutes: ATTEMPT_WINDOW_MINUTES,
+          userId,
+        };
+        const [emailResult, ipResult] = await Promise.all([
+          email
+            ? lockoutModel.recordFailedAttempt("email", email, {
+                ...options,
+                maxAttempts: MAX_ATTEMPTS_PER_ACCOUNT,
+              })
+            : null,
+          lockoutModel.recordFailedAttempt("ip", ip, {
+            ...options,
+            maxAttempts: MAX_ATTEMPTS_PER_IP,
+          }),
+        ]);
+
+        if (emailResult && emailResult.lockedNow) {
+          console.log(
+            `Account ${email} locked until ${emailResult.lockedUntil}`
+          );
+        }
+        if (ipResult.lockedNow) {
+          console.log(`IP ${ip} locked until ${ipResult.lockedUntil}`);
+        }
+      },
+      // Only the account counter is reset: an attacker could otherwise clear
+      // the per-IP counter by logging into an account of their own
+      succeed: () => (email ? resetAccountAttempts(email) : null),
+    };
+
+    next();
+  } catch (error) {
+    console.error("Login throttle error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  loginThrottle,
+  resetAccountAttempts,
+};
@@ -0,0 +1,20 @@
+const { param } = require("express-validator");
+
+// router.param handler rejecting IDs that aren't positive integers before
+// they reach a query, e.g. router.param("id", requireIntParam("user ID"))
+const requireIntParam = (label) => async (req, res, next, value, name) => {
+  const result = await param(name)
+    .isInt({ min: 1 })
+    .withMessage(`Invalid ${label}`)
+    .run(req);
+
+  if (!result.isEmpty()) {
+    return res.status(400).json({ errors: result.array() });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireIntParam,
+};
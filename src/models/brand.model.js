@@ -0,0 +1,320 @@
+const db = require("../config/db");
+const httpError = require("../utils/httpError");
+const { slugify } = require("./category.model");
+const { getStoreSnapshot, recordRevision } = require("./revision.model");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatBrand = (b) => ({
+  id: b.id,
+  name: b.name,
+  slug: b.slug,
+  description: b.description,
+  website: b.website,
+  ownerId: b.owner_id,
+  ownerName: b.owner_name,
+  branchCount: Number(b.branch_count),
+  averageRating: round(Number(b.average_rating)),
+  totalRatings: Number(b.rating_count),
+  createdAt: b.created_at,
+  updatedAt: b.updated_at,
+});
+
+// Brands with their owner and the rating aggregates over all ratings of
+// their (non-archived) branches
+const BRAND_SELECT = `
+  SELECT
+    b.id,
+    b.name,
+    b.slug,
+    b.description,
+    b.website,
+    b.owner_id,
+    u.name as owner_name,
+    b.created_at,
+    b.updated_at,
+    (SELECT COUNT(*) FROM stores s WHERE s.brand_id = b.id AND s.deleted_at IS NULL) as branch_count,
+    (SELECT COALESCE(AVG(r.rating), 0) FROM ratings r
+     JOIN stores s ON r.store_id = s.id
+     WHERE s.brand_id = b.id AND s.deleted_at IS NULL) as average_rating,
+    (SELECT COUNT(*) FROM ratings r
+     JOIN stores s ON r.store_id = s.id
+     WHERE s.brand_id = b.id AND s.deleted_at IS NULL) as rating_count
+  FROM
+    brands b
+  LEFT JOIN
+    users u ON b.owner_id = u.id
+`;
+
+// Get all brands, optionally only those of one owner
+const getAllBrands = async ({ ownerId } = {}) => {
+  const params = [];
+  let query = BRAND_SELECT;
+
+  if (ownerId) {
+    params.push(ownerId);
+    query += " WHERE b.owner_id = $1";
+  }
+
+  const result = await db.query(`${query} ORDER BY b.name`, params);
+  return result.rows.map(formatBrand);
+};
+
+// Get a brand by ID
+const getBrandById = async (brandId) => {
+  const result = await db.query(`${BRAND_SELECT} WHERE b.id = $1`, [brandId]);
+  return result.rows.length ? formatBrand(result.rows[0]) : null;
+};
+
+// Compare the branches of a brand: each branch's rating aggregates, how far
+// its average is from the brand's and its rank (branches without ratings
+// come last and aren't ranked)
+const getBranchComparison = async (brandId, brandAverage) => {
+  const result = await db.query(
+    `SELECT
+      s.id,
+      s.name,
+      s.city,
+      s.region,
+      s.owner_id,
+      s.verified_at,
+      COALESCE(AVG(r.rating), 0) as average_rating,
+      COUNT(r.id) as rating_count
+    FROM
+      stores s
+    LEFT JOIN
+      ratings r ON s.id = r.store_id
+    WHERE
+      s.brand_id = $1 AND s.deleted_at IS NULL
+    GROUP BY
+      s.id
+    ORDER BY
+      COUNT(r.id) = 0, AVG(r.rating) DESC, COUNT(r.id) DESC, s.name`,
+    [brandId]
+  );
+
+  return result.rows.map((s, index) => {
+    const totalRatings = Number(s.rating_count);
+    const averageRating = round(Number(s.average_rating));
+
+    return {
+      id: s.id,
+      name: s.name,
+      city: s.city,
+      region: s.region,
+      ownerId: s.owner_id,
+      isVerified: s.verified_at !== null,
+      averageRating,
+      totalRatings,
+      rank: totalRatings > 0 ? index + 1 : null,
+      differenceFromBrand:
+        totalRatings > 0 ? round(averageRating - brandAverage) : null,
+    };
+  });
+};
+
+// Create a brand
+const createBrand = async ({ name, description, website, ownerId }) => {
+  const query = `
+    INSERT INTO brands (name, slug, description, website, owner_id)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `;
+
+  const result = await db.query(query, [
+    name,
+    slugify(name),
+    description || null,
+    website || null,
+    ownerId || null,
+  ]);
+  return getBrandById(result.rows[0].id);
+};
+
+// Update a brand (the slug follows the name)
+const updateBrand = async (brandId, { name, description, website }) => {
+  const query = `
+    UPDATE brands
+    SET name = COALESCE($1, name),
+        slug = COALESCE($2, slug),
+        description = COALESCE($3, description),
+        website = COALESCE($4, website),
+        updated_at = NOW()
+    WHERE id = $5
+    RETURNING id
+  `;
+
+  const result = await db.query(query, [
+    name || null,
+    name ? slugify(name) : null,
+    description === undefined ? null : description,
+    website === undefined ? null : website,
+    brandId,
+  ]);
+  return result.rows.length ? getBrandById(brandId) : null;
+};
+
+// Assign the brand owner (null removes them)
+const setBrandOwner = async (brandId, ownerId) => {
+  const result = await db.query(
+    `UPDATE brands SET owner_id = $1, updated_at = NOW()
+     WHERE id = $2
+     RETURNING id`,
+    [ownerId, brandId]
+  );
+  return result.rows.length ? getBrandById(brandId) : null;
+};
+
+// Delete a brand (its branches become independent stores, which is
+// recorded in their revisions)
+const deleteBrand = async (brandId, { actorId = null } = {}) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const branches = await client.query(
+      "SELECT id FROM stores WHERE brand_id = $1 FOR UPDATE",
+      [brandId]
+    );
+    for (const { id } of branches.rows) {
+      await setStoreBrand(client, id, null, actorId);
+    }
+
+    const result = await client.query(
+      "DELETE FROM brands WHERE id = $1 RETURNING id",
+      [brandId]
+    );
+
+    await client.query("COMMIT");
+    return result.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Check if a name (or the slug it produces) is already in use
+const isNameInUse = async (name, excludeBrandId = null) => {
+  let query = "SELECT id FROM brands WHERE (name = $1 OR slug = $2)";
+  const params = [name, slugify(name)];
+
+  if (excludeBrandId) {
+    query += " AND id != $3";
+    params.push(excludeBrandId);
+  }
+
+  const result = await db.query(query, params);
+  return result.rows.length > 0;
+};
+
+// Change the brand of a store and record it in the store's revisions.
+// Pass a transaction client.
+const setStoreBrand = async (client, storeId, brandId, actorId) => {
+  const before = await getStoreSnapshot(client, storeId);
+
+  await client.query(
+    "UPDATE stores SET brand_id = $1, updated_at = NOW() WHERE id = $2",
+    [brandId, storeId]
+  );
+  await recordRevision(client, storeId, { actorId, action: "update", before });
+};
+
+/**
+ * Make a store a branch of a brand
+ * @param {number} brandId - Brand ID
+ * @param {number} storeId - Store ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.ownerId] - Only allow stores this user owns
+ * (brand owners can't take over other people's stores)
+ * @param {number} [options.actorId] - Who made the change (store revisions)
+ * @throws {Error} With statusCode when the store can't be added
+ */
+const addBranch = async (
+  brandId,
+  storeId,
+  { ownerId, actorId = null } = {}
+) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT owner_id, brand_id FROM stores WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+      [storeId]
+    );
+    const store = result.rows[0];
+
+    if (!store) {
+      throw httpError(404, "Store not found");
+    }
+
+    if (ownerId && store.owner_id !== ownerId) {
+      throw httpError(403, "You can only add stores you own to your brand");
+    }
+
+    if (store.brand_id === brandId) {
+      throw httpError(409, "The store is already a branch of this brand");
+    }
+
+    if (store.brand_id) {
+      throw httpError(
+        409,
+        "The store is a branch of another brand. Remove it from there first"
+      );
+    }
+
+    await setStoreBrand(client, storeId, brandId, actorId);
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Remove a store from a brand, returns false if it wasn't a branch of it
+const removeBranch = async (brandId, storeId, { actorId = null } = {}) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT id FROM stores WHERE id = $1 AND brand_id = $2 FOR UPDATE",
+      [storeId, brandId]
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    await setStoreBrand(client, storeId, null, actorId);
+
+    await client.query("COMMIT");
+    return true;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getAllBrands,
+  getBrandById,
+  getBranchComparison,
+  createBrand,
+  updateBrand,
+  setBrandOwner,
+  deleteBrand,
+  isNameInUse,
+  addBranch,
+  removeBranch,
+};
@@ -0,0 +1,127 @@
+const db = require("../config/db");
+
+// Turn a category name into a URL-friendly slug ("Book Stores" -> "book-stores")
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const formatCategory = (c) => ({
+  id: c.id,
+  name: c.name,
+  slug: c.slug,
+  description: c.description,
+  storeCount: Number(c.store_count),
+  createdAt: c.created_at,
+  updatedAt: c.updated_at,
+});
+
+const CATEGORY_SELECT = `
+  SELECT
+    c.id,
+    c.name,
+    c.slug,
+    c.description,
+    c.created_at,
+    c.updated_at,
+    (SELECT COUNT(*) FROM store_categories sc WHERE sc.category_id = c.id) as store_count
+  FROM
+    categories c
+`;
+
+// Get all categories with the number of stores in each
+const getAllCategories = async () => {
+  const result = await db.query(`${CATEGORY_SELECT} ORDER BY c.name`);
+  return result.rows.map(formatCategory);
+};
+
+// Get a category by ID
+const getCategoryById = async (categoryId) => {
+  const result = await db.query(`${CATEGORY_SELECT} WHERE c.id = $1`, [
+    categoryId,
+  ]);
+  return result.rows.length ? formatCategory(result.rows[0]) : null;
+};
+
+// Create a category
+const createCategory = async ({ name, description }) => {
+  const query = `
+    INSERT INTO categories (name, slug, description)
+    VALUES ($1, $2, $3)
+    RETURNING id
+  `;
+
+  const result = await db.query(query, [
+    name,
+    slugify(name),
+    description || null,
+  ]);
+  return getCategoryById(result.rows[0].id);
+};
+
+// Update a category (the slug follows the name)
+const updateCategory = async (categoryId, { name, description }) => {
+  const query = `
+    UPDATE categories
+    SET name = COALESCE($1, name),
+        slug = COALESCE($2, slug),
+        description = COALESCE($3, description),
+        updated_at = NOW()
+    WHERE id = $4
+    RETURNING id
+  `;
+
+  const result = await db.query(query, [
+    name || null,
+    name ? slugify(name) : null,
+    description === undefined ? null : description,
+    categoryId,
+  ]);
+  return result.rows.length ? getCategoryById(categoryId) : null;
+};
+
+// Delete a category (stores simply lose it)
+const deleteCategory = async (categoryId) => {
+  const result = await db.query(
+    "DELETE FROM categories WHERE id = $1 RETURNING id",
+    [categoryId]
+  );
+  return result.rows[0];
+};
+
+// Check if a name (or the slug it produces) is already in use
+const isNameInUse = async (name, excludeCategoryId = null) => {
+  let query = "SELECT id FROM categories WHERE (name = $1 OR slug = $2)";
+  const params = [name, slugify(name)];
+
+  if (excludeCategoryId) {
+    query += " AND id != $3";
+    params.push(excludeCategoryId);
+  }
+
+  const result = await db.query(query, params);
+  return result.rows.length > 0;
+};
+
+// Get the IDs from a list that don't match any category
+const getMissingCategoryIds = async (categoryIds) => {
+  const result = await db.query(
+    "SELECT id FROM categories WHERE id = ANY($1)",
+    [categoryIds]
+  );
+  const found = result.rows.map((row) => row.id);
+  return categoryIds.filter((id) => !found.includes(id));
+};
+
+module.exports = {
+  slugify,
+  getAllCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  isNameInUse,
+  getMissingCategoryIds,
+};
@@ -0,0 +1,259 @@
+const db = require("../config/db");
+const { assignOwner } = require("./store.model");
+const httpError = require("../utils/httpError");
+
+const CLAIM_SELECT = `
+  SELECT c.id, c.store_id, c.user_id, c.evidence, c.status,
+         c.rejection_reason, c.reviewed_by, c.reviewed_at, c.created_at,
+         s.name as store_name, u.name as user_name, u.email as user_email,
+         r.name as reviewed_by_name
+  FROM store_claims c
+  JOIN stores s ON c.store_id = s.id
+  JOIN users u ON c.user_id = u.id
+  LEFT JOIN users r ON c.reviewed_by = r.id`;
+
+const formatClaim = (c) => ({
+  id: c.id,
+  storeId: c.store_id,
+  storeName: c.store_name,
+  userId: c.user_id,
+  userName: c.user_name,
+  userEmail: c.user_email,
+  evidence: c.evidence,
+  status: c.status,
+  rejectionReason: c.rejection_reason,
+  reviewedBy: c.reviewed_by,
+  reviewedByName: c.reviewed_by_name,
+  reviewedAt: c.reviewed_at,
+  createdAt: c.created_at,
+});
+
+/**
+ * Get claim by ID
+ * @param {number} id - Claim ID
+ * @returns {Promise<Object|null>} Claim or null if not found
+ */
+const getClaimById = async (id) => {
+  const result = await db.query(`${CLAIM_SELECT} WHERE c.id = $1`, [id]);
+  return result.rows.length ? formatClaim(result.rows[0]) : null;
+};
+
+/**
+ * Get claims, optionally limited to one claimant
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.userId] - Claimant
+ * @param {string} [filters.status] - pending, approved, rejected or withdrawn
+ * @param {number} [filters.storeId] - Store ID
+ * @returns {Promise<Array>} Claims, oldest first so the queue is worked in order
+ */
+const getClaims = async ({ userId, status, storeId } = {}) => {
+  let query = `${CLAIM_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    query += ` AND c.user_id = $${params.length}`;
+  }
+
+  if (status) {
+    params.push(status);
+    query += ` AND c.status = $${params.length}`;
+  }
+
+  if (storeId) {
+    params.push(storeId);
+    query += ` AND c.store_id = $${params.length}`;
+  }
+
+  query += " ORDER BY c.created_at, c.id";
+
+  const result = await db.query(query, params);
+  return result.rows.map(formatClaim);
+};
+
+/**
+ * Submit a claim for an unowned store
+ * @param {Object} claimData - storeId, userId and evidence
+ * @returns {Promise<Object>} Created claim
+ * @throws {Error} With statusCode when the store can't be claimed
+ */
+const createClaim = async ({ storeId, userId, evidence }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const storeResult = await client.query(
+      "SELECT id, owner_id FROM stores WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+      [storeId]
+    );
+    if (storeResult.rows.length === 0) {
+      throw httpError(404, "Store not found");
+    }
+
+    if (storeResult.rows[0].owner_id) {
+      throw httpError(409, "This store already has an owner");
+    }
+
+    const userResult = await client.query(
+      "SELECT role FROM users WHERE id = $1",
+      [userId]
+    );
+    if (userResult.rows[0].role === "admin") {
+      throw httpError(400, "Admins can't claim stores");
+    }
+
+    const pendingResult = await client.query(
+      `SELECT id FROM store_claims
+       WHERE store_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [storeId, userId]
+    );
+    if (pendingResult.rows.length > 0) {
+      throw httpError(409, "You already have a pending claim for this store");
+    }
+
+    const result = await client.query(
+      `INSERT INTO store_claims (store_id, user_id, evidence)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [storeId, userId, evidence]
+    );
+
+    await client.query("COMMIT");
+    return getClaimById(result.rows[0].id);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Approve a pending claim: the claimant becomes a store owner (if they
+ * weren't one yet) and the store's owner in the same transaction. Other
+ * pending claims for the store are rejected.
+ * @param {number} id - Claim ID
+ * @param {number} reviewerId - Approving admin
+ * @returns {Promise<Object>} Approved claim
+ * @throws {Error} With statusCode when the claim can't be approved
+ */
+const approveClaim = async (id, reviewerId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const claimResult = await client.query(
+      "SELECT * FROM store_claims WHERE id = $1 FOR UPDATE",
+      [id]
+    );
+    const claim = claimResult.rows[0];
+
+    if (!claim) {
+      throw httpError(404, "Claim not found");
+    }
+
+    if (claim.status !== "pending") {
+      throw httpError(400, `Claim has already been ${claim.status}`);
+    }
+
+    const storeResult = await client.query(
+      "SELECT owner_id, deleted_at FROM stores WHERE id = $1 FOR UPDATE",
+      [claim.store_id]
+    );
+    const store = storeResult.rows[0];
+
+    if (store.deleted_at) {
+      throw httpError(409, "The store has been archived");
+    }
+
+    // Someone else got the store since the claim was submitted
+    if (store.owner_id) {
+      throw httpError(409, "The store already has an owner");
+    }
+
+    const userResult = await client.query(
+      "SELECT role FROM users WHERE id = $1 FOR UPDATE",
+      [claim.user_id]
+    );
+    if (userResult.rows[0].role === "admin") {
+      throw httpError(400, "Admins can't claim stores");
+    }
+
+    await client.query(
+      `UPDATE users SET role = 'store_owner', updated_at = NOW()
+       WHERE id = $1 AND role = 'user'`,
+      [claim.user_id]
+    );
+    await assignOwner(client, claim.store_id, claim.user_id, {
+      changedBy: reviewerId,
+    });
+
+    await client.query(
+      `UPDATE store_claims
+       SET status = 'approved', reviewed_by = $1, reviewed_at = NOW()
+       WHERE id = $2`,
+      [reviewerId, id]
+    );
+    await client.query(
+      `UPDATE store_claims
+       SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = NOW()
+       WHERE store_id = $3 AND status = 'pending'`,
+      ["Another claim for this store was approved", reviewerId, claim.store_id]
+    );
+
+    await client.query("COMMIT");
+    return getClaimById(id);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reject a pending claim
+ * @param {number} id - Claim ID
+ * @param {number} reviewerId - Rejecting admin
+ * @param {string} reason - Shown to the claimant
+ * @returns {Promise<Object|null>} Updated claim or null if not pending
+ */
+const rejectClaim = async (id, reviewerId, reason) => {
+  const result = await db.query(
+    `UPDATE store_claims
+     SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = NOW()
+     WHERE id = $3 AND status = 'pending'
+     RETURNING id`,
+    [reason, reviewerId, id]
+  );
+
+  return result.rows.length ? getClaimById(id) : null;
+};
+
+/**
+ * Withdraw a pending claim (by the claimant)
+ * @param {number} id - Claim ID
+ * @returns {Promise<Object|null>} Updated claim or null if not pending
+ */
+const withdrawClaim = async (id) => {
+  const result = await db.query(
+    `UPDATE store_claims
+     SET status = 'withdrawn'
+     WHERE id = $1 AND status = 'pending'
+     RETURNING id`,
+    [id]
+  );
+
+  return result.rows.length ? getClaimById(id) : null;
+};
+
+module.exports = {
+  getClaimById,
+  getClaims,
+  createClaim,
+  approveClaim,
+  rejectClaim,
+  withdrawClaim,
+};
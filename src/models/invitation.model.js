@@ -0,0 +1,307 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const db = require("../config/db");
+const { hashToken } = require("./token.model");
+const { assignOwner } = require("./store.model");
+const httpError = require("../utils/httpError");
+const { normalizeAddressInput } = require("../utils/address");
+
+const INVITATION_TTL_DAYS = parseInt(
+  process.env.INVITATION_TTL_DAYS || "7",
+  10
+);
+
+// Derived invitation status used by every query below
+const STATUS_SQL = `
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END`;
+
+const INVITATION_SELECT = `
+  SELECT i.id, i.store_id, i.email, i.invited_by, i.expires_at, i.last_sent_at,
+         i.accepted_at, i.accepted_user_id, i.revoked_at, i.created_at,
+         s.name as store_name, u.name as invited_by_name,
+         ${STATUS_SQL} as status
+  FROM store_invitations i
+  JOIN stores s ON i.store_id = s.id
+  LEFT JOIN users u ON i.invited_by = u.id`;
+
+const formatInvitation = (i) => ({
+  id: i.id,
+  storeId: i.store_id,
+  storeName: i.store_name,
+  email: i.email,
+  status: i.status,
+  invitedBy: i.invited_by,
+  invitedByName: i.invited_by_name,
+  expiresAt: i.expires_at,
+  lastSentAt: i.last_sent_at,
+  acceptedAt: i.accepted_at,
+  acceptedUserId: i.accepted_user_id,
+  revokedAt: i.revoked_at,
+  createdAt: i.created_at,
+});
+
+/**
+ * Generate a new invitation token and its expiry date
+ * @returns {{token: string, tokenHash: string, expiresAt: Date}}
+ */
+const generateInvitationToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(
+    Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  return { token, tokenHash: hashToken(token), expiresAt };
+};
+
+/**
+ * Create an invitation for a store owner
+ * @param {Object} invitationData - Invitation data
+ * @returns {Promise<Object>} Created invitation and the raw token for the link
+ */
+const createInvitation = async ({ storeId, email, invitedBy }) => {
+  const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+  const result = await db.query(
+    `INSERT INTO store_invitations (store_id, email, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [storeId, email, tokenHash, invitedBy, expiresAt]
+  );
+
+  const invitation = await getInvitationById(result.rows[0].id);
+  return { invitation, token };
+};
+
+/**
+ * Get invitations, optionally filtered by status or store
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - pending, accepted, revoked or expired
+ * @param {number} [filters.storeId] - Store ID
+ * @returns {Promise<Array>} Invitations
+ */
+const getInvitations = async ({ status, storeId } = {}) => {
+  let query = `SELECT * FROM (${INVITATION_SELECT}) invitations WHERE 1=1`;
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    query += ` AND status = $${params.length}`;
+  }
+
+  if (storeId) {
+    params.push(storeId);
+    query += ` AND store_id = $${params.length}`;
+  }
+
+  query += " ORDER BY created_at DESC";
+
+  const result = await db.query(query, params);
+  return result.rows.map(formatInvitation);
+};
+
+/**
+ * Get invitation by ID
+ * @param {number} id - Invitation ID
+ * @returns {Promise<Object|null>} Invitation or null if not found
+ */
+const getInvitationById = async (id) => {
+  const result = await db.query(`${INVITATION_SELECT} WHERE i.id = $1`, [id]);
+  return result.rows.length ? formatInvitation(result.rows[0]) : null;
+};
+
+/**
+ * Get invitation by the raw token from the invite link
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<Object|null>} Invitation or null if not found
+ */
+const getInvitationByToken = async (token) => {
+  const result = await db.query(
+    `${INVITATION_SELECT} WHERE i.token_hash = $1`,
+    [hashToken(token)]
+  );
+  return result.rows.length ? formatInvitation(result.rows[0]) : null;
+};
+
+/**
+ * Issue a fresh token and expiry for a pending or expired invitation (resend)
+ * @param {number} id - Invitation ID
+ * @returns {Promise<Object|null>} Invitation and raw token, or null if it
+ * was accepted or revoked
+ */
+const renewInvitation = async (id) => {
+  const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+  const result = await db.query(
+    `UPDATE store_invitations
+     SET token_hash = $1, expires_at = $2, last_sent_at = NOW()
+     WHERE id = $3 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`,
+    [tokenHash, expiresAt, id]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const invitation = await getInvitationById(id);
+  return { invitation, token };
+};
+
+/**
+ * Revoke an invitation that hasn't been accepted yet
+ * @param {number} id - Invitation ID
+ * @returns {Promise<Object|null>} Revoked invitation or null if not revocable
+ */
+const revokeInvitation = async (id) => {
+  const result = await db.query(
+    `UPDATE store_invitations
+     SET revoked_at = NOW()
+     WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`,
+    [id]
+  );
+
+  return result.rows.length ? getInvitationById(id) : null;
+};
+
+/**
+ * Accept an invitation: create the owner account (or promote the existing
+ * account for the invited email) and assign it as owner of the store.
+ * @param {string} token - Raw invitation token
+ * @param {Object} accountData - name, password and address (text or parts)
+ * of the invitee
+ * @returns {Promise<Object>} The owner account and store ID
+ * @throws {Error} With statusCode when the invitation can't be accepted
+ */
+const acceptInvitation = async (token, accountData) => {
+  const { name, password } = accountData;
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const invitationResult = await client.query(
+      `SELECT i.id, i.store_id, i.email, i.invited_by, ${STATUS_SQL} as status
+       FROM store_invitations i
+       WHERE i.token_hash = $1
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    const invitation = invitationResult.rows[0];
+    if (!invitation || invitation.status !== "pending") {
+      throw httpError(400, "Invalid or expired invitation");
+    }
+
+    // Invitations to stores archived (or purged) since then can't be used
+    const storeResult = await client.query(
+      "SELECT id, owner_id, deleted_at FROM stores WHERE id = $1 FOR UPDATE",
+      [invitation.store_id]
+    );
+    const store = storeResult.rows[0];
+    if (!store || store.deleted_at) {
+      throw httpError(400, "Invalid or expired invitation");
+    }
+
+    if (store.owner_id) {
+      throw httpError(409, "This store already has an owner");
+    }
+
+    const existingResult = await client.query(
+      "SELECT id, password, role FROM users WHERE email = $1",
+      [invitation.email]
+    );
+
+    let user;
+    if (existingResult.rows.length > 0) {
+      // Existing account: confirm it's theirs, then promote it
+      const existing = existingResult.rows[0];
+
+      if (existing.role === "admin") {
+        throw httpError(409, "Admin accounts can't be store owners");
+      }
+
+      if (!(await bcrypt.compare(password, existing.password))) {
+        throw httpError(401, "Password is incorrect for the existing account");
+      }
+
+      const updated = await client.query(
+        `UPDATE users
+         SET role = 'store_owner',
+             email_verified_at = COALESCE(email_verified_at, NOW()),
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, name, email, role`,
+        [existing.id]
+      );
+      user = updated.rows[0];
+    } else {
+      // The invite link proves ownership of the address
+      const saltRounds = 10;
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+      const addressColumns = normalizeAddressInput(accountData) || {};
+
+      const inserted = await client.query(
+        `INSERT INTO users (name, email, password, address, street, city, region, postal_code, country, role, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'store_owner', NOW())
+         RETURNING id, name, email, role`,
+        [
+          name,
+          invitation.email,
+          hashedPassword,
+          addressColumns.address || null,
+          addressColumns.street || null,
+          addressColumns.city || null,
+          addressColumns.region || null,
+          addressColumns.postal_code || null,
+          addressColumns.country || null,
+        ]
+      );
+      user = inserted.rows[0];
+    }
+
+    await assignOwner(client, invitation.store_id, user.id, {
+      changedBy: invitation.invited_by,
+    });
+
+    await client.query(
+      `UPDATE store_invitations
+       SET accepted_at = NOW(), accepted_user_id = $1
+       WHERE id = $2`,
+      [user.id, invitation.id]
+    );
+
+    // Other open invitations for this store are no longer needed
+    await client.query(
+      `UPDATE store_invitations
+       SET revoked_at = NOW()
+       WHERE store_id = $1 AND id != $2
+         AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [invitation.store_id, invitation.id]
+    );
+
+    await client.query("COMMIT");
+    return { user, storeId: invitation.store_id };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  getInvitationById,
+  getInvitationByToken,
+  renewInvitation,
+  revokeInvitation,
+  acceptInvitation,
+};
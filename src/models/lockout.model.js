@@ -0,0 +1,191 @@
+const db = require("../config/db");
+
+/**
+ * Get the failed login counter for an account email or client IP
+ * @param {string} scope - "email" or "ip"
+ * @param {string} key - Email address or IP address
+ * @returns {Promise<Object|null>} Throttle row or null if there are no failures
+ */
+const getThrottle = async (scope, key) => {
+  const result = await db.query(
+    `SELECT id, scope, key, failed_count, last_failed_at, locked_until
+     FROM login_throttles
+     WHERE scope = $1 AND key = $2`,
+    [scope, key]
+  );
+
+  return result.rows.length ? result.rows[0] : null;
+};
+
+/**
+ * Record a failed login attempt and lock the key once it reaches the limit.
+ * Counters restart after an expired lockout or a quiet period of windowMinutes.
+ * @param {string} scope - "email" or "ip"
+ * @param {string} key - Email address or IP address
+ * @param {Object} options - Throttle options
+ * @param {number} options.maxAttempts - Failures before a lockout
+ * @param {number} options.lockoutMinutes - Lockout duration
+ * @param {number} options.windowMinutes - Period after which failures are forgotten
+ * @param {number} [options.userId] - Account the attempt targeted, if known
+ * @returns {Promise<Object>} Updated counter and lockout state
+ */
+const recordFailedAttempt = async (
+  scope,
+  key,
+  { maxAttempts, lockoutMinutes, windowMinutes, userId = null }
+) => {
+  const result = await db.query(
+    `INSERT INTO login_throttles (scope, key, failed_count, last_failed_at)
+     VALUES ($1, $2, 1, NOW())
+     ON CONFLICT (scope, key) DO UPDATE SET
+       failed_count = CASE
+         WHEN login_throttles.locked_until <= NOW()
+           OR login_throttles.last_failed_at < NOW() - make_interval(mins => $3)
+         THEN 1
+         ELSE login_throttles.failed_count + 1
+       END,
+       locked_until = CASE
+         WHEN login_throttles.locked_until <= NOW() THEN NULL
+         ELSE login_throttles.locked_until
+       END,
+       last_failed_at = NOW()
+     RETURNING id, failed_count, locked_until`,
+    [scope, key, windowMinutes]
+  );
+
+  const throttle = result.rows[0];
+
+  if (throttle.failed_count < maxAttempts || throttle.locked_until) {
+    return {
+      failedCount: throttle.failed_count,
+      lockedUntil: throttle.locked_until,
+    };
+  }
+
+  // Only the request that crosses the limit creates the lockout and its event
+  const lockResult = await db.query(
+    `UPDATE login_throttles
+     SET locked_until = NOW() + make_interval(mins => $2)
+     WHERE id = $1 AND locked_until IS NULL
+     RETURNING locked_until`,
+    [throttle.id, lockoutMinutes]
+  );
+
+  if (lockResult.rows.length === 0) {
+    return { failedCount: throttle.failed_count, lockedUntil: null };
+  }
+
+  const lockedUntil = lockResult.rows[0].locked_until;
+
+  await db.query(
+    `INSERT INTO lockout_events (scope, key, user_id, failed_count, locked_until)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [scope, key, userId, throttle.failed_count, lockedUntil]
+  );
+
+  return { failedCount: throttle.failed_count, lockedUntil, lockedNow: true };
+};
+
+/**
+ * Reset the failed login counter for a key (after a successful login)
+ * @param {string} scope - "email" or "ip"
+ * @param {string} key - Email address or IP address
+ */
+const resetAttempts = async (scope, key) => {
+  await db.query("DELETE FROM login_throttles WHERE scope = $1 AND key = $2", [
+    scope,
+    key,
+  ]);
+};
+
+/**
+ * Get all keys that are currently locked out
+ * @returns {Promise<Array>} Active lockouts
+ */
+const getActiveLockouts = async () => {
+  const result = await db.query(
+    `SELECT id, scope, key, failed_count, last_failed_at, locked_until
+     FROM login_throttles
+     WHERE locked_until > NOW()
+     ORDER BY locked_until DESC`
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    scope: row.scope,
+    key: row.key,
+    failedCount: row.failed_count,
+    lastFailedAt: row.last_failed_at,
+    lockedUntil: row.locked_until,
+  }));
+};
+
+/**
+ * Clear a lockout and its failure counter (admin action)
+ * @param {number} id - Throttle ID
+ * @param {number} adminId - Admin clearing the lockout
+ * @returns {Promise<Object|null>} Cleared throttle or null if not found
+ */
+const clearLockout = async (id, adminId) => {
+  const result = await db.query(
+    "DELETE FROM login_throttles WHERE id = $1 RETURNING id, scope, key",
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { scope, key } = result.rows[0];
+
+  await db.query(
+    `UPDATE lockout_events
+     SET cleared_at = NOW(), cleared_by = $3
+     WHERE scope = $1 AND key = $2 AND cleared_at IS NULL AND locked_until > NOW()`,
+    [scope, key, adminId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Get the lockout history, most recent first
+ * @param {number} [limit=100] - Maximum number of events
+ * @returns {Promise<Array>} Lockout events
+ */
+const getLockoutEvents = async (limit = 100) => {
+  const result = await db.query(
+    `SELECT e.id, e.scope, e.key, e.user_id, e.failed_count, e.locked_until,
+            e.cleared_at, e.cleared_by, e.created_at,
+            u.name as user_name, a.name as cleared_by_name
+     FROM lockout_events e
+     LEFT JOIN users u ON e.user_id = u.id
+     LEFT JOIN users a ON e.cleared_by = a.id
+     ORDER BY e.created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+
+  return result.rows.map((e) => ({
+    id: e.id,
+    scope: e.scope,
+    key: e.key,
+    userId: e.user_id,
+    userName: e.user_name,
+    failedCount: e.failed_count,
+    lockedUntil: e.locked_until,
+    clearedAt: e.cleared_at,
+    clearedBy: e.cleared_by,
+    clearedByName: e.cleared_by_name,
+    createdAt: e.created_at,
+  }));
+};
+
+module.exports = {
+  getThrottle,
+  recordFailedAttempt,
+  resetAttempts,
+  getActiveLockouts,
+  clearLockout,
+  getLockoutEvents,
+};
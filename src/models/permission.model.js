@@ -0,0 +1,62 @@
+const db = require("../config/db");
+
+// Get the permissions granted to a role
+const getPermissionsForRole = async (role) => {
+  const query = `
+    SELECT permission
+    FROM role_permissions
+    WHERE role = $1
+    ORDER BY permission
+  `;
+
+  const result = await db.query(query, [role]);
+  return result.rows.map((row) => row.permission);
+};
+
+// Get the full role to permission mapping
+const getRolePermissionMap = async () => {
+  const query = `
+    SELECT role, permission
+    FROM role_permissions
+    ORDER BY role, permission
+  `;
+
+  const result = await db.query(query);
+  return result.rows.reduce((map, row) => {
+    map[row.role] = map[row.role] || [];
+    map[row.role].push(row.permission);
+    return map;
+  }, {});
+};
+
+// Replace the permissions granted to a role
+const setRolePermissions = async (role, permissions) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    await client.query("DELETE FROM role_permissions WHERE role = $1", [role]);
+
+    for (const permission of permissions) {
+      await client.query(
+        "INSERT INTO role_permissions (role, permission) VALUES ($1, $2)",
+        [role, permission]
+      );
+    }
+
+    await client.query("COMMIT");
+    return permissions;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getPermissionsForRole,
+  getRolePermissionMap,
+  setRolePermissions,
+};
@@ -0,0 +1,189 @@
+const db = require("../config/db");
+const { getFileUrl } = require("../utils/storage");
+const httpError = require("../utils/httpError");
+
+const PHOTO_SELECT = `
+  SELECT
+    p.id,
+    p.store_id,
+    p.storage_key,
+    p.thumbnail_key,
+    p.content_type,
+    p.size_bytes,
+    p.width,
+    p.height,
+    p.position,
+    p.uploaded_by,
+    p.created_at
+  FROM
+    store_photos p
+`;
+
+// Storage keys stay internal, clients get URLs
+const formatPhoto = (p) => ({
+  id: p.id,
+  storeId: p.store_id,
+  url: getFileUrl(p.storage_key),
+  thumbnailUrl: getFileUrl(p.thumbnail_key),
+  contentType: p.content_type,
+  sizeBytes: p.size_bytes,
+  width: p.width,
+  height: p.height,
+  position: p.position,
+  uploadedBy: p.uploaded_by,
+  createdAt: p.created_at,
+});
+
+// Get the photos of a store in display order
+const getPhotosByStoreId = async (storeId) => {
+  const result = await db.query(
+    `${PHOTO_SELECT} WHERE p.store_id = $1 ORDER BY p.position, p.id`,
+    [storeId]
+  );
+  return result.rows.map(formatPhoto);
+};
+
+// Count the photos of a store
+const countPhotos = async (storeId) => {
+  const result = await db.query(
+    "SELECT COUNT(*) as count FROM store_photos WHERE store_id = $1",
+    [storeId]
+  );
+  return Number(result.rows[0].count);
+};
+
+/**
+ * Add photos at the end of a store's gallery, all or none of them. The store
+ * row is locked while counting so concurrent uploads can't pass the limit.
+ * @param {number} storeId - Store ID
+ * @param {Array<Object>} photos - {storageKey, thumbnailKey, contentType,
+ * sizeBytes, width, height} of each photo
+ * @param {Object} options - Options
+ * @param {number} options.maxPhotos - Most photos a store can have
+ * @param {number} [options.uploadedBy] - Uploading user ID
+ * @returns {Promise<Array<Object>>} Created photos
+ * @throws {Error} With statusCode 400 when the limit would be exceeded
+ */
+const createPhotos = async (storeId, photos, { maxPhotos, uploadedBy }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    await client.query("SELECT id FROM stores WHERE id = $1 FOR UPDATE", [
+      storeId,
+    ]);
+
+    const countResult = await client.query(
+      "SELECT COUNT(*) as count FROM store_photos WHERE store_id = $1",
+      [storeId]
+    );
+    if (Number(countResult.rows[0].count) + photos.length > maxPhotos) {
+      throw httpError(400, `A store can have at most ${maxPhotos} photos`);
+    }
+
+    const created = [];
+    for (const photo of photos) {
+      const result = await client.query(
+        `INSERT INTO store_photos (store_id, storage_key, thumbnail_key, content_type, size_bytes, width, height, position, uploaded_by)
+         SELECT $1, $2, $3, $4, $5, $6, $7, COALESCE(MAX(position) + 1, 0), $8
+         FROM store_photos
+         WHERE store_id = $1
+         RETURNING *`,
+        [
+          storeId,
+          photo.storageKey,
+          photo.thumbnailKey,
+          photo.contentType,
+          photo.sizeBytes,
+          photo.width,
+          photo.height,
+          uploadedBy || null,
+        ]
+      );
+      created.push(formatPhoto(result.rows[0]));
+    }
+
+    await client.query("COMMIT");
+    return created;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Delete a photo of a store. Returns the storage keys of its files so the
+// caller can remove them, or null if the photo doesn't exist.
+const deletePhoto = async (storeId, photoId) => {
+  const result = await db.query(
+    `DELETE FROM store_photos
+     WHERE id = $1 AND store_id = $2
+     RETURNING storage_key, thumbnail_key`,
+    [photoId, storeId]
+  );
+  return result.rows.length ? result.rows[0] : null;
+};
+
+// Get the storage keys of all files of a store (to clean up after deleting it)
+const getPhotoKeysByStoreId = async (storeId) => {
+  const result = await db.query(
+    "SELECT storage_key, thumbnail_key FROM store_photos WHERE store_id = $1",
+    [storeId]
+  );
+  return result.rows;
+};
+
+// Put a store's photos in the given order. photoIds must list every photo
+// of the store exactly once.
+const reorderPhotos = async (storeId, photoIds) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const current = await client.query(
+      "SELECT id FROM store_photos WHERE store_id = $1 FOR UPDATE",
+      [storeId]
+    );
+    const currentIds = current.rows.map((row) => row.id);
+
+    if (
+      new Set(photoIds).size !== photoIds.length ||
+      photoIds.length !== currentIds.length ||
+      !photoIds.every((id) => currentIds.includes(id))
+    ) {
+      throw httpError(
+        400,
+        "photoIds must list every photo of the store exactly once"
+      );
+    }
+
+    await client.query(
+      `UPDATE store_photos p
+       SET position = o.position - 1
+       FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+       WHERE p.id = o.id AND p.store_id = $1`,
+      [storeId, photoIds]
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getPhotosByStoreId(storeId);
+};
+
+module.exports = {
+  getPhotosByStoreId,
+  countPhotos,
+  createPhotos,
+  deletePhoto,
+  getPhotoKeysByStoreId,
+  reorderPhotos,
+};
@@ -1,4 +1,21 @@
 const db = require("../config/db");
+const httpError = require("../utils/httpError");
+const { EXPORT_BATCH_SIZE } = require("../utils/export");
+
+// The store's reply to rating r as a JSON object (null if there is none),
+// for selecting it alongside ratings
+const RATING_REPLY_SQL = `
+  (SELECT json_build_object(
+     'id', rr.id,
+     'body', rr.body,
+     'authorId', rr.author_id,
+     'authorName', a.name,
+     'createdAt', rr.created_at,
+     'updatedAt', rr.updated_at
+   )
+   FROM rating_replies rr
+   LEFT JOIN users a ON rr.author_id = a.id
+   WHERE rr.rating_id = r.id) as reply`;
 
 /**
  * Create a new rating
@@ -85,17 +102,18 @@ const getRatingById = async (id) => {
 };
 
 /**
- * Get ratings by store ID
+ * Get ratings by store ID with the store's replies (none for archived stores)
  * @param {number} storeId - Store ID
  * @returns {Promise<Array>} Array of ratings
  */
 const getRatingsByStoreId = async (storeId) => {
   const result = await db.query(
     `SELECT r.id, r.store_id, r.user_id, r.rating, r.comment, r.created_at, r.updated_at,
-            u.name as user_name
+            u.name as user_name,${RATING_REPLY_SQL}
      FROM ratings r
      JOIN users u ON r.user_id = u.id
-     WHERE r.store_id = $1
+     JOIN stores s ON r.store_id = s.id
+     WHERE r.store_id = $1 AND s.deleted_at IS NULL
      ORDER BY r.updated_at DESC`,
     [storeId]
   );
@@ -107,13 +125,14 @@ const getRatingsByStoreId = async (storeId) => {
     userName: r.user_name,
     rating: r.rating,
     comment: r.comment,
+    reply: r.reply,
     createdAt: r.created_at,
     updatedAt: r.updated_at,
   }));
 };
 
 /**
- * Get ratings by user ID
+ * Get ratings by user ID (leaving out archived stores)
  * @param {number} userId - User ID
  * @returns {Promise<Array>} Array of ratings
  */
@@ -123,7 +142,7 @@ const getRatingsByUserId = async (userId) => {
             s.name as store_name
      FROM ratings r
      JOIN stores s ON r.store_id = s.id
-     WHERE r.user_id = $1
+     WHERE r.user_id = $1 AND s.deleted_at IS NULL
      ORDER BY r.updated_at DESC`,
     [userId]
   );
@@ -140,6 +159,66 @@ const getRatingsByUserId = async (userId) => {
   }));
 };
 
+/**
+ * Export ratings (leaving out archived stores) in batches of
+ * EXPORT_BATCH_SIZE, reading one batch at a time
+ * @param {Object} filters - Optional storeId and userId, as in GET /api/ratings
+ * @param {Function} onBatch - Called with each batch of ratings, awaited
+ * @returns {Promise<void>}
+ */
+const exportRatings = async ({ storeId, userId } = {}, onBatch) => {
+  const conditions = ["s.deleted_at IS NULL"];
+  const params = [];
+
+  if (storeId) {
+    params.push(storeId);
+    conditions.push(`r.store_id = $${params.length}`);
+  }
+
+  if (userId) {
+    params.push(userId);
+    conditions.push(`r.user_id = $${params.length}`);
+  }
+
+  let lastId = 0;
+  for (;;) {
+    const result = await db.query(
+      `SELECT r.id, r.store_id, r.user_id, r.rating, r.comment, r.created_at, r.updated_at,
+              s.name as store_name, u.name as user_name, u.email as user_email
+       FROM ratings r
+       JOIN stores s ON r.store_id = s.id
+       JOIN users u ON r.user_id = u.id
+       WHERE ${conditions.join(" AND ")} AND r.id > $${params.length + 1}
+       ORDER BY r.id
+       LIMIT $${params.length + 2}`,
+      [...params, lastId, EXPORT_BATCH_SIZE]
+    );
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    await onBatch(
+      result.rows.map((r) => ({
+        id: r.id,
+        storeId: r.store_id,
+        storeName: r.store_name,
+        userId: r.user_id,
+        userName: r.user_name,
+        userEmail: r.user_email,
+        rating: r.rating,
+        comment: r.comment,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at,
+      }))
+    );
+
+    if (result.rows.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+};
+
 /**
  * Update a rating
  * @param {number} id - Rating ID
@@ -281,12 +360,118 @@ const getRatingByUserAndStore = async (userId, storeId) => {
   };
 };
 
+const formatReply = (r) => ({
+  id: r.id,
+  ratingId: r.rating_id,
+  body: r.body,
+  authorId: r.author_id,
+  createdAt: r.created_at,
+  updatedAt: r.updated_at,
+});
+
+/**
+ * Publicly reply to a rating of a store (one reply per rating)
+ * @param {Object} replyData - ratingId, storeId (the rating must belong to
+ * it), authorId and body
+ * @returns {Promise<Object>} {reply, reviewer: {id, name, email}, storeName}
+ * for notifying the reviewer
+ * @throws {Error} With statusCode when the rating can't be replied to
+ */
+const createReply = async ({ ratingId, storeId, authorId, body }) => {
+  const ratingResult = await db.query(
+    `SELECT r.id, r.user_id, u.name as user_name, u.email as user_email,
+            s.name as store_name
+     FROM ratings r
+     JOIN users u ON r.user_id = u.id
+     JOIN stores s ON r.store_id = s.id
+     WHERE r.id = $1 AND r.store_id = $2 AND s.deleted_at IS NULL`,
+    [ratingId, storeId]
+  );
+  const rating = ratingResult.rows[0];
+
+  if (!rating) {
+    throw httpError(404, "Rating not found");
+  }
+
+  try {
+    const result = await db.query(
+      `INSERT INTO rating_replies (rating_id, author_id, body)
+       VALUES ($1, $2, $3)
+       RETURNING id, rating_id, body, author_id, created_at, updated_at`,
+      [ratingId, authorId, body]
+    );
+
+    return {
+      reply: formatReply(result.rows[0]),
+      reviewer: {
+        id: rating.user_id,
+        name: rating.user_name,
+        email: rating.user_email,
+      },
+      storeName: rating.store_name,
+    };
+  } catch (err) {
+    // Unique violation on rating_id
+    if (err.code === "23505") {
+      throw httpError(409, "This rating already has a reply. Edit it instead");
+    }
+    throw err;
+  }
+};
+
+/**
+ * Edit the store's reply to a rating
+ * @param {number} ratingId - Rating ID
+ * @param {number} storeId - Store the rating belongs to
+ * @param {string} body - New reply text
+ * @returns {Promise<Object|null>} Updated reply or null if there is none or
+ * the store is archived
+ */
+const updateReply = async (ratingId, storeId, body) => {
+  const result = await db.query(
+    `UPDATE rating_replies rr
+     SET body = $1, updated_at = NOW()
+     FROM ratings r
+     JOIN stores s ON r.store_id = s.id
+     WHERE rr.rating_id = r.id AND r.id = $2 AND r.store_id = $3
+       AND s.deleted_at IS NULL
+     RETURNING rr.id, rr.rating_id, rr.body, rr.author_id, rr.created_at, rr.updated_at`,
+    [body, ratingId, storeId]
+  );
+  return result.rows.length ? formatReply(result.rows[0]) : null;
+};
+
+/**
+ * Delete the store's reply to a rating
+ * @param {number} ratingId - Rating ID
+ * @param {number} storeId - Store the rating belongs to
+ * @returns {Promise<boolean>} False if there was no reply or the store is
+ * archived
+ */
+const deleteReply = async (ratingId, storeId) => {
+  const result = await db.query(
+    `DELETE FROM rating_replies rr
+     USING ratings r
+     JOIN stores s ON r.store_id = s.id
+     WHERE rr.rating_id = r.id AND r.id = $1 AND r.store_id = $2
+       AND s.deleted_at IS NULL
+     RETURNING rr.id`,
+    [ratingId, storeId]
+  );
+  return result.rows.length > 0;
+};
+
 module.exports = {
+  RATING_REPLY_SQL,
   createRating,
   getRatingById,
   getRatingsByStoreId,
   getRatingsByUserId,
+  exportRatings,
   updateRating,
   deleteRating,
   getRatingByUserAndStore,
+  createReply,
+  updateReply,
+  deleteReply,
 };
@@ -0,0 +1,216 @@
+const db = require("../config/db");
+const { DAYS } = require("../utils/openingHours");
+
+/**
+ * Get the tracked state of a store (columns, brand, taxonomy and hours)
+ * @param {Object} client - Database client (use the transaction's client)
+ * @param {number} storeId - Store ID
+ * @returns {Promise<Object|null>} Snapshot or null if the store doesn't exist
+ */
+const getStoreSnapshot = async (client, storeId) => {
+  const result = await client.query(
+    `SELECT
+      s.name,
+      s.email,
+      s.address,
+      s.street,
+      s.city,
+      s.region,
+      s.postal_code,
+      s.country,
+      s.latitude,
+      s.longitude,
+      s.time_zone,
+      s.owner_id,
+      s.brand_id,
+      s.deleted_at,
+      s.merged_into_id,
+      COALESCE(
+        (SELECT array_agg(sc.category_id ORDER BY sc.category_id)
+         FROM store_categories sc WHERE sc.store_id = s.id),
+        '{}'
+      ) as category_ids,
+      COALESCE(
+        (SELECT array_agg(t.tag ORDER BY t.tag) FROM store_tags t WHERE t.store_id = s.id),
+        '{}'
+      ) as tags,
+      COALESCE(
+        (SELECT json_agg(json_build_object(
+           'day', h.day_of_week,
+           'opens', to_char(h.opens_at, 'HH24:MI'),
+           'closes', to_char(h.closes_at, 'HH24:MI')
+         ) ORDER BY h.day_of_week, h.opens_at)
+         FROM store_opening_hours h WHERE h.store_id = s.id),
+        '[]'
+      ) as opening_hours,
+      COALESCE(
+        (SELECT json_agg(json_build_object(
+           'date', to_char(e.date, 'YYYY-MM-DD'),
+           'closed', e.closed,
+           'opens', to_char(e.opens_at, 'HH24:MI'),
+           'closes', to_char(e.closes_at, 'HH24:MI'),
+           'note', e.note
+         ) ORDER BY e.date)
+         FROM store_hours_exceptions e WHERE e.store_id = s.id),
+        '[]'
+      ) as holiday_exceptions
+    FROM
+      stores s
+    WHERE
+      s.id = $1`,
+    [storeId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const s = result.rows[0];
+  return {
+    name: s.name,
+    email: s.email,
+    address: s.address,
+    street: s.street,
+    city: s.city,
+    region: s.region,
+    postalCode: s.postal_code,
+    country: s.country,
+    latitude: s.latitude,
+    longitude: s.longitude,
+    timeZone: s.time_zone,
+    ownerId: s.owner_id,
+    brandId: s.brand_id,
+    deletedAt: s.deleted_at,
+    mergedIntoId: s.merged_into_id,
+    categoryIds: s.category_ids,
+    tags: s.tags,
+    openingHours: s.opening_hours.map((h) => ({ ...h, day: DAYS[h.day] })),
+    holidayExceptions: s.holiday_exceptions,
+  };
+};
+
+// Fields that differ between two snapshots as {field: {from, to}}
+const diffSnapshots = (before, after) => {
+  const changes = {};
+  for (const field of Object.keys(after)) {
+    const from = before ? before[field] : null;
+    const to = after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Record a store mutation as a revision with the field diff and the state
+ * it left the store in. Call it inside the mutation's transaction, after
+ * the change, with the snapshot taken before it.
+ * @param {Object} client - Transaction client
+ * @param {number} storeId - Store ID
+ * @param {Object} revision - Revision details
+ * @param {number|null} revision.actorId - Who made the change
+ * @param {string} revision.action - create, update, owner_change, archive,
+ * restore or revert
+ * @param {Object|null} [revision.before] - Snapshot from before the change
+ * @param {number|null} [revision.revertedFrom] - Revision a revert went back to
+ * @returns {Promise<Object|null>} Revision, or null if nothing changed
+ */
+const recordRevision = async (
+  client,
+  storeId,
+  { actorId, action, before = null, revertedFrom = null }
+) => {
+  const after = await getStoreSnapshot(client, storeId);
+  const changes = diffSnapshots(before, after);
+
+  if (before && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  // Stores from before revisions were recorded get their prior state as a
+  // baseline, so the first change can be reverted too
+  if (before) {
+    await client.query(
+      `INSERT INTO store_revisions (store_id, action, changes, snapshot)
+       SELECT $1, 'baseline', '{}', $2
+       WHERE NOT EXISTS (SELECT 1 FROM store_revisions WHERE store_id = $1)`,
+      [storeId, JSON.stringify(before)]
+    );
+  }
+
+  const result = await client.query(
+    `INSERT INTO store_revisions (store_id, actor_id, action, changes, snapshot, reverted_from)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, created_at`,
+    [
+      storeId,
+      actorId || null,
+      action,
+      JSON.stringify(changes),
+      JSON.stringify(after),
+      revertedFrom,
+    ]
+  );
+  return { ...result.rows[0], changes };
+};
+
+/**
+ * Get a store's revisions, newest first
+ * @param {number} storeId - Store ID
+ * @returns {Promise<Array>} Revisions with actor, action and changes
+ */
+const getRevisionsByStoreId = async (storeId) => {
+  const result = await db.query(
+    `SELECT
+      r.id,
+      r.action,
+      r.changes,
+      r.reverted_from,
+      r.actor_id,
+      u.name as actor_name,
+      r.created_at
+    FROM
+      store_revisions r
+    LEFT JOIN
+      users u ON r.actor_id = u.id
+    WHERE
+      r.store_id = $1
+    ORDER BY
+      r.created_at DESC, r.id DESC`,
+    [storeId]
+  );
+
+  return result.rows.map((r) => ({
+    id: r.id,
+    action: r.action,
+    changes: r.changes,
+    revertedFrom: r.reverted_from,
+    actorId: r.actor_id,
+    actorName: r.actor_name,
+    createdAt: r.created_at,
+  }));
+};
+
+/**
+ * Get the state a revision left a store in
+ * @param {Object} client - Database client
+ * @param {number} storeId - Store ID
+ * @param {number} revisionId - Revision ID
+ * @returns {Promise<Object|null>} Snapshot or null if the revision doesn't
+ * belong to the store
+ */
+const getRevisionSnapshot = async (client, storeId, revisionId) => {
+  const result = await client.query(
+    "SELECT snapshot FROM store_revisions WHERE id = $1 AND store_id = $2",
+    [revisionId, storeId]
+  );
+  return result.rows.length ? result.rows[0].snapshot : null;
+};
+
+module.exports = {
+  getStoreSnapshot,
+  recordRevision,
+  getRevisionsByStoreId,
+  getRevisionSnapshot,
+};
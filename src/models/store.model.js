@@ -1,7 +1,250 @@
 const db = require("../config/db");
+const { normalizeAddressInput } = require("../utils/address");
+const { DAYS, getOpeningStatus } = require("../utils/openingHours");
+const httpError = require("../utils/httpError");
+const { findDuplicateCandidates } = require("../utils/duplicates");
+const { EXPORT_BATCH_SIZE } = require("../utils/export");
+const { RATING_REPLY_SQL } = require("./rating.model");
+const {
+  getStoreSnapshot,
+  recordRevision,
+  getRevisionSnapshot,
+} = require("./revision.model");
+
+// Categories of a store as a JSON array of {id, name, slug}
+const STORE_CATEGORIES_SQL = `
+      COALESCE(
+        (SELECT json_agg(json_build_object('id', c.id, 'name', c.name, 'slug', c.slug) ORDER BY c.name)
+         FROM store_categories sc
+         JOIN categories c ON sc.category_id = c.id
+         WHERE sc.store_id = s.id),
+        '[]'
+      ) as categories`;
+
+// Tags of a store as a text array
+const STORE_TAGS_SQL = `
+      COALESCE(
+        (SELECT array_agg(t.tag ORDER BY t.tag) FROM store_tags t WHERE t.store_id = s.id),
+        '{}'
+      ) as tags`;
+
+// Columns returned after creating or updating a store
+const STORE_RETURNING = `id, name, email, address, street, city, region, postal_code, country,
+              latitude, longitude, time_zone, owner_id, created_at, updated_at`;
+
+// Normalize free-form tags: trimmed, lowercase, no empties or duplicates
+const normalizeTags = (tags) => [
+  ...new Set(
+    tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)
+  ),
+];
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+// Great-circle (haversine) distance in km between a store and the point
+// in the given query parameters, using plain Postgres math
+const distanceSql = (latParam, lngParam) => `
+  (${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(s.latitude - ${latParam}) / 2), 2) +
+    COS(RADIANS(${latParam})) * COS(RADIANS(s.latitude)) *
+    POWER(SIN(RADIANS(s.longitude - ${lngParam}) / 2), 2)
+  ))))`;
+
+// Build the WHERE conditions for store list filters, pushing values onto
+// params. `except` leaves one filter out (used for facet counts).
+// Archived stores are always left out.
+// filters.categories: category IDs or slugs, filters.tags: tags
+// (a store matches if it has any of the values given for a filter)
+// filters.cities / filters.regions: exact, case-insensitive address parts
+// filters.near: {latitude, longitude, radiusKm}, stores within the radius
+// filters.verified: true/false keeps only verified/unverified stores
+// filters.brandId: only the branches of a brand
+const buildStoreFilters = (filters, params, { except } = {}) => {
+  const conditions = ["s.deleted_at IS NULL"];
+
+  if (filters.near && except !== "near") {
+    const { latitude, longitude, radiusKm } = filters.near;
+    params.push(latitude, longitude, radiusKm);
+    const lat = `$${params.length - 2}::float8`;
+    const lng = `$${params.length - 1}::float8`;
+    const radius = `$${params.length}::float8`;
+
+    // Cheap bounding box first so the location index can be used
+    const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+    params.push(latitude - latDelta, latitude + latDelta);
+    conditions.push(
+      `s.latitude BETWEEN $${params.length - 1} AND $${params.length}`
+    );
+
+    // Longitude degrees shrink towards the poles; skip the box where it
+    // would wrap around
+    const cosLatitude = Math.cos((latitude * Math.PI) / 180);
+    const lngDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * cosLatitude);
+    if (
+      cosLatitude > 0.01 &&
+      longitude - lngDelta >= -180 &&
+      longitude + lngDelta <= 180
+    ) {
+      params.push(longitude - lngDelta, longitude + lngDelta);
+      conditions.push(
+        `s.longitude BETWEEN $${params.length - 1} AND $${params.length}`
+      );
+    }
+
+    conditions.push(`${distanceSql(lat, lng)} <= ${radius}`);
+  }
+
+  if (
+    filters.categories &&
+    filters.categories.length &&
+    except !== "category"
+  ) {
+    params.push(filters.categories.map(String));
+    conditions.push(`EXISTS (
+      SELECT 1 FROM store_categories sc
+      JOIN categories c ON sc.category_id = c.id
+      WHERE sc.store_id = s.id
+        AND (c.slug = ANY($${params.length}) OR c.id::text = ANY($${params.length}))
+    )`);
+  }
+
+  if (filters.cities && filters.cities.length && except !== "city") {
+    params.push(filters.cities.map((city) => city.toLowerCase()));
+    conditions.push(`LOWER(s.city) = ANY($${params.length})`);
+  }
+
+  if (filters.regions && filters.regions.length && except !== "region") {
+    params.push(filters.regions.map((region) => region.toLowerCase()));
+    conditions.push(`LOWER(s.region) = ANY($${params.length})`);
+  }
+
+  if (filters.tags && filters.tags.length && except !== "tag") {
+    params.push(normalizeTags(filters.tags));
+    conditions.push(`EXISTS (
+      SELECT 1 FROM store_tags t
+      WHERE t.store_id = s.id AND t.tag = ANY($${params.length})
+    )`);
+  }
+
+  if (filters.verified !== undefined) {
+    conditions.push(
+      filters.verified ? "s.verified_at IS NOT NULL" : "s.verified_at IS NULL"
+    );
+  }
+
+  if (filters.brandId) {
+    params.push(filters.brandId);
+    conditions.push(`s.brand_id = $${params.length}`);
+  }
+
+  return conditions;
+};
+
+// Load the weekly hours and upcoming holiday exceptions of the given stores
+// and add openingHours, holidayExceptions, isOpenNow and nextOpenAt to them
+const attachOpeningHours = async (stores) => {
+  if (stores.length === 0) {
+    return stores;
+  }
+
+  const storeIds = stores.map((store) => store.id);
+
+  const [hoursResult, exceptionsResult] = await Promise.all([
+    db.query(
+      `SELECT 
+        store_id,
+        day_of_week,
+        to_char(opens_at, 'HH24:MI') as opens,
+        to_char(closes_at, 'HH24:MI') as closes
+      FROM 
+        store_opening_hours
+      WHERE 
+        store_id = ANY($1)
+      ORDER BY 
+        day_of_week, opens_at`,
+      [storeIds]
+    ),
+    // Yesterday is kept as well, it's still "today" somewhere
+    db.query(
+      `SELECT 
+        store_id,
+        to_char(date, 'YYYY-MM-DD') as date,
+        closed,
+        to_char(opens_at, 'HH24:MI') as opens,
+        to_char(closes_at, 'HH24:MI') as closes,
+        note
+      FROM 
+        store_hours_exceptions
+      WHERE 
+        store_id = ANY($1) AND date >= CURRENT_DATE - 1
+      ORDER BY 
+        date`,
+      [storeIds]
+    ),
+  ]);
+
+  const now = new Date();
+  stores.forEach((store) => {
+    store.openingHours = hoursResult.rows
+      .filter((h) => h.store_id === store.id)
+      .map((h) => ({
+        day: DAYS[h.day_of_week],
+        opens: h.opens,
+        closes: h.closes,
+      }));
+
+    store.holidayExceptions = exceptionsResult.rows
+      .filter((e) => e.store_id === store.id)
+      .map((e) => ({
+        date: e.date,
+        closed: e.closed,
+        opens: e.opens,
+        closes: e.closes,
+        note: e.note,
+      }));
+
+    Object.assign(
+      store,
+      getOpeningStatus(
+        {
+          timeZone: store.time_zone,
+          hours: store.openingHours,
+          exceptions: store.holidayExceptions,
+        },
+        now
+      )
+    );
+  });
+
+  return stores;
+};
 
 // Get all stores with their average ratings and all ratings
-const getAllStores = async () => {
+// (see buildStoreFilters for the supported filters)
+// With filters.near each store gets distanceKm, and filters.sort can be
+// "distance" (default when near is given) or "name"
+// filters.openNow (true/false) keeps only stores that are open/closed right
+// now; stores without opening hours match neither
+const getAllStores = async (filters = {}) => {
+  const params = [];
+  const conditions = buildStoreFilters(filters, params);
+
+  let distanceColumn = "";
+  let orderBy = "s.name";
+  if (filters.near) {
+    params.push(filters.near.latitude, filters.near.longitude);
+    distanceColumn = `,
+      ${distanceSql(
+        `$${params.length - 1}::float8`,
+        `$${params.length}::float8`
+      )} as distance_km`;
+
+    if (filters.sort !== "name") {
+      orderBy = "distance_km, s.name";
+    }
+  }
+
   // First, get the basic store information with average ratings
   const storesQuery = `
     SELECT 
@@ -9,31 +252,54 @@ const getAllStores = async () => {
       s.name, 
       s.email, 
       s.address,
+      s.street,
+      s.city,
+      s.region,
+      s.postal_code,
+      s.country,
+      s.latitude,
+      s.longitude,
+      s.time_zone,
       s.owner_id,
       u.name as owner_name,
+      s.brand_id,
+      b.name as brand_name,
       COALESCE(AVG(r.rating), 0) as average_rating,
       COUNT(r.id) as rating_count,
+      s.verified_at,
       s.created_at,
-      s.updated_at
+      s.updated_at,${STORE_CATEGORIES_SQL},${STORE_TAGS_SQL}${distanceColumn}
     FROM 
       stores s
     LEFT JOIN 
       users u ON s.owner_id = u.id
+    LEFT JOIN 
+      brands b ON s.brand_id = b.id
     LEFT JOIN 
       ratings r ON s.id = r.store_id
+    WHERE 
+      ${conditions.join(" AND ")}
     GROUP BY 
-      s.id, u.name
+      s.id, u.name, b.name
     ORDER BY 
-      s.name
+      ${orderBy}
   `;
 
-  const storesResult = await db.query(storesQuery);
+  const storesResult = await db.query(storesQuery, params);
   const stores = storesResult.rows.map((row) => ({
     ...row,
     averageRating: Number(row.average_rating),
     totalRatings: Number(row.rating_count),
     average_rating: undefined,
     rating_count: undefined,
+    isVerified: row.verified_at !== null,
+    verifiedAt: row.verified_at,
+    verified_at: undefined,
+    distanceKm:
+      row.distance_km === undefined
+        ? undefined
+        : Math.round(row.distance_km * 1000) / 1000,
+    distance_km: undefined,
     ratings: [], // Initialize empty ratings array to be filled below
   }));
 
@@ -80,11 +346,115 @@ const getAllStores = async () => {
     });
   }
 
+  await attachOpeningHours(stores);
+
+  if (filters.openNow !== undefined) {
+    return stores.filter((store) => store.isOpenNow === filters.openNow);
+  }
+
   return stores;
 };
 
-// Get a single store by ID with its ratings
-const getStoreById = async (storeId) => {
+// Export the stores matching the store list filters (see getAllStores)
+// with their rating aggregates, in batches of EXPORT_BATCH_SIZE passed to
+// onBatch. Reads page by page so large exports aren't held in memory.
+const exportStores = async (filters, onBatch) => {
+  let lastId = 0;
+
+  for (;;) {
+    const params = [];
+    const conditions = buildStoreFilters(filters, params);
+    params.push(lastId, EXPORT_BATCH_SIZE);
+
+    const query = `
+      SELECT
+        s.id,
+        s.name,
+        s.email,
+        s.address,
+        s.street,
+        s.city,
+        s.region,
+        s.postal_code,
+        s.country,
+        s.latitude,
+        s.longitude,
+        s.time_zone,
+        s.owner_id,
+        u.name as owner_name,
+        u.email as owner_email,
+        s.brand_id,
+        COALESCE(
+          (SELECT array_agg(sc.category_id ORDER BY sc.category_id)
+           FROM store_categories sc WHERE sc.store_id = s.id),
+          '{}'
+        ) as category_ids,${STORE_TAGS_SQL},
+        (SELECT COALESCE(AVG(r.rating), 0) FROM ratings r WHERE r.store_id = s.id) as average_rating,
+        (SELECT COUNT(*) FROM ratings r WHERE r.store_id = s.id) as rating_count,
+        s.verified_at,
+        s.created_at,
+        s.updated_at
+      FROM
+        stores s
+      LEFT JOIN
+        users u ON s.owner_id = u.id
+      WHERE
+        ${conditions.join(" AND ")} AND s.id > $${params.length - 1}
+      ORDER BY
+        s.id
+      LIMIT $${params.length}
+    `;
+
+    const result = await db.query(query, params);
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    let stores = await attachOpeningHours(result.rows);
+    if (filters.openNow !== undefined) {
+      stores = stores.filter((store) => store.isOpenNow === filters.openNow);
+    }
+
+    await onBatch(
+      stores.map((s) => ({
+        id: s.id,
+        name: s.name,
+        email: s.email,
+        address: s.address,
+        street: s.street,
+        city: s.city,
+        region: s.region,
+        postalCode: s.postal_code,
+        country: s.country,
+        latitude: s.latitude,
+        longitude: s.longitude,
+        timeZone: s.time_zone,
+        ownerId: s.owner_id,
+        ownerName: s.owner_name,
+        ownerEmail: s.owner_email,
+        brandId: s.brand_id,
+        categoryIds: s.category_ids,
+        tags: s.tags,
+        openingHours: s.openingHours,
+        holidayExceptions: s.holidayExceptions,
+        averageRating: Math.round(Number(s.average_rating) * 100) / 100,
+        totalRatings: Number(s.rating_count),
+        verifiedAt: s.verified_at,
+        createdAt: s.created_at,
+        updatedAt: s.updated_at,
+      }))
+    );
+
+    if (result.rows.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+};
+
+// Get a single store by ID with its ratings (archived stores only with
+// includeArchived)
+const getStoreById = async (storeId, { includeArchived = false } = {}) => {
   // First get store basic info with average rating
   const storeQuery = `
     SELECT 
@@ -92,22 +462,36 @@ const getStoreById = async (storeId) => {
       s.name, 
       s.email, 
       s.address,
+      s.street,
+      s.city,
+      s.region,
+      s.postal_code,
+      s.country,
+      s.latitude,
+      s.longitude,
+      s.time_zone,
       s.owner_id,
       u.name as owner_name,
+      s.brand_id,
+      b.name as brand_name,
       COALESCE(AVG(r.rating), 0) as average_rating,
       COUNT(r.id) as rating_count,
+      s.verified_at,
       s.created_at,
-      s.updated_at
+      s.updated_at,
+      s.deleted_at,${STORE_CATEGORIES_SQL},${STORE_TAGS_SQL}
     FROM 
       stores s
     LEFT JOIN 
       users u ON s.owner_id = u.id
+    LEFT JOIN 
+      brands b ON s.brand_id = b.id
     LEFT JOIN 
       ratings r ON s.id = r.store_id
     WHERE 
-      s.id = $1
+      s.id = $1${includeArchived ? "" : " AND s.deleted_at IS NULL"}
     GROUP BY 
-      s.id, u.name
+      s.id, u.name, b.name
   `;
 
   const storeResult = await db.query(storeQuery, [storeId]);
@@ -119,10 +503,13 @@ const getStoreById = async (storeId) => {
     totalRatings: Number(storeResult.rows[0].rating_count),
     average_rating: undefined,
     rating_count: undefined,
+    isVerified: storeResult.rows[0].verified_at !== null,
+    verifiedAt: storeResult.rows[0].verified_at,
+    verified_at: undefined,
     ratings: [],
   };
 
-  // Get all ratings for this store
+  // Get all ratings for this store with the store's replies
   const ratingsQuery = `
     SELECT 
       r.id, 
@@ -132,7 +519,7 @@ const getStoreById = async (storeId) => {
       r.comment,
       r.created_at,
       r.updated_at,
-      u.name as user_name
+      u.name as user_name,${RATING_REPLY_SQL}
     FROM 
       ratings r
     JOIN 
@@ -153,10 +540,12 @@ const getStoreById = async (storeId) => {
     userName: rating.user_name,
     rating: rating.rating,
     comment: rating.comment,
+    reply: rating.reply,
     createdAt: rating.created_at,
     updatedAt: rating.updated_at,
   }));
 
+  await attachOpeningHours([store]);
   return store;
 };
 
@@ -191,52 +580,255 @@ const getStoreRatings = async (storeId) => {
   }));
 };
 
-// Create a new store
-const createStore = async (storeData) => {
-  const { name, email, address, ownerId } = storeData;
+// Replace the categories and/or tags of a store (undefined leaves them as is)
+const setStoreTaxonomy = async (client, storeId, { categoryIds, tags }) => {
+  if (categoryIds !== undefined) {
+    await client.query("DELETE FROM store_categories WHERE store_id = $1", [
+      storeId,
+    ]);
+    // Categories deleted in the meantime (e.g. when reverting) are skipped
+    await client.query(
+      `INSERT INTO store_categories (store_id, category_id)
+       SELECT $1, c.id FROM categories c WHERE c.id = ANY($2::int[])
+       ON CONFLICT DO NOTHING`,
+      [storeId, categoryIds]
+    );
+  }
+
+  if (tags !== undefined) {
+    await client.query("DELETE FROM store_tags WHERE store_id = $1", [storeId]);
+    await client.query(
+      `INSERT INTO store_tags (store_id, tag)
+       SELECT $1, unnest($2::text[])`,
+      [storeId, normalizeTags(tags)]
+    );
+  }
+
+  const result = await client.query(
+    `SELECT ${STORE_CATEGORIES_SQL},${STORE_TAGS_SQL}
+     FROM stores s
+     WHERE s.id = $1`,
+    [storeId]
+  );
+  return result.rows[0];
+};
+
+// Replace the weekly hours and/or holiday exceptions of a store
+// (undefined leaves them as is)
+const setOpeningHours = async (
+  client,
+  storeId,
+  { openingHours, holidayExceptions }
+) => {
+  if (openingHours !== undefined) {
+    await client.query("DELETE FROM store_opening_hours WHERE store_id = $1", [
+      storeId,
+    ]);
+    await client.query(
+      `INSERT INTO store_opening_hours (store_id, day_of_week, opens_at, closes_at)
+       SELECT $1, * FROM unnest($2::smallint[], $3::time[], $4::time[])`,
+      [
+        storeId,
+        openingHours.map((h) => DAYS.indexOf(h.day)),
+        openingHours.map((h) => h.opens),
+        openingHours.map((h) => h.closes),
+      ]
+    );
+  }
+
+  if (holidayExceptions !== undefined) {
+    await client.query(
+      "DELETE FROM store_hours_exceptions WHERE store_id = $1",
+      [storeId]
+    );
+    await client.query(
+      `INSERT INTO store_hours_exceptions (store_id, date, closed, opens_at, closes_at, note)
+       SELECT $1, * FROM unnest($2::date[], $3::boolean[], $4::time[], $5::time[], $6::text[])`,
+      [
+        storeId,
+        holidayExceptions.map((e) => e.date),
+        holidayExceptions.map((e) => Boolean(e.closed)),
+        holidayExceptions.map((e) => (e.closed ? null : e.opens)),
+        holidayExceptions.map((e) => (e.closed ? null : e.closes)),
+        holidayExceptions.map((e) => e.note || null),
+      ]
+    );
+  }
+};
+
+// Insert a store with its owner, taxonomy, hours and first revision using
+// a transaction client. Returns the store as createStore does.
+const insertStore = async (client, storeData, actorId) => {
+  const {
+    name,
+    email,
+    latitude,
+    longitude,
+    timeZone,
+    ownerId,
+    categoryIds,
+    tags,
+    openingHours,
+    holidayExceptions,
+  } = storeData;
+
+  const addressColumns = normalizeAddressInput(storeData) || {};
 
   const query = `
-    INSERT INTO stores (name, email, address, owner_id)
-    VALUES ($1, $2, $3, $4)
-    RETURNING id, name, email, address, owner_id, created_at, updated_at
+    INSERT INTO stores (name, email, address, street, city, region, postal_code, country, latitude, longitude, time_zone, owner_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING ${STORE_RETURNING}
   `;
 
-  const values = [name, email, address, ownerId || null];
-  const result = await db.query(query, values);
+  const values = [
+    name,
+    email,
+    addressColumns.address || null,
+    addressColumns.street || null,
+    addressColumns.city || null,
+    addressColumns.region || null,
+    addressColumns.postal_code || null,
+    addressColumns.country || null,
+    latitude === undefined ? null : latitude,
+    longitude === undefined ? null : longitude,
+    timeZone || "UTC",
+    ownerId || null,
+  ];
 
-  return result.rows[0];
+  const result = await client.query(query, values);
+  const store = result.rows[0];
+
+  if (ownerId) {
+    await recordOwnerChange(client, store.id, ownerId);
+  }
+
+  const taxonomy = await setStoreTaxonomy(client, store.id, {
+    categoryIds,
+    tags,
+  });
+  await setOpeningHours(client, store.id, {
+    openingHours,
+    holidayExceptions,
+  });
+  await recordRevision(client, store.id, { actorId, action: "create" });
+
+  return { ...store, ...taxonomy };
+};
+
+// Create a new store (actorId is recorded in the store's revisions)
+const createStore = async (storeData, { actorId = null } = {}) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+    const store = await insertStore(client, storeData, actorId);
+    await client.query("COMMIT");
+
+    const [created] = await attachOpeningHours([store]);
+    return created;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Create many stores at once, all or none of them
+const importStores = async (stores, { actorId = null } = {}) => {
+  const client = await db.getClient();
+  const created = [];
+
+  try {
+    await client.query("BEGIN");
+    for (const storeData of stores) {
+      created.push(await insertStore(client, storeData, actorId));
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    // Another store took one of the emails since the import was validated
+    if (err.code === "23505") {
+      throw httpError(409, "A store with one of these emails already exists");
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return attachOpeningHours(created);
 };
 
-// Update a store
-const updateStore = async (storeId, storeData) => {
-  const { name, email, address, ownerId } = storeData;
+// Update a store (ownership changes go through the transfer workflow).
+// The change is recorded as a revision by actorId.
+const updateStore = async (storeId, storeData, { actorId = null } = {}) => {
+  const {
+    name,
+    email,
+    latitude,
+    longitude,
+    timeZone,
+    categoryIds,
+    tags,
+    openingHours,
+    holidayExceptions,
+  } = storeData;
 
   // Build update query dynamically
   let updateFields = [];
   let values = [];
   let valueIndex = 1;
+  const identityChanges = [];
 
   if (name !== undefined) {
     updateFields.push(`name = $${valueIndex}`);
+    identityChanges.push(`name IS DISTINCT FROM $${valueIndex}`);
     values.push(name);
     valueIndex++;
   }
 
   if (email !== undefined) {
     updateFields.push(`email = $${valueIndex}`);
+    identityChanges.push(`email IS DISTINCT FROM $${valueIndex}`);
     values.push(email);
     valueIndex++;
   }
 
-  if (address !== undefined) {
-    updateFields.push(`address = $${valueIndex}`);
-    values.push(address);
+  // The verified badge was granted for the store's name and email, a new
+  // one has to be reviewed again
+  if (identityChanges.length) {
+    updateFields.push(
+      `verified_at = CASE WHEN ${identityChanges.join(
+        " OR "
+      )} THEN NULL ELSE verified_at END`
+    );
+  }
+
+  // Address text and parts are always updated together
+  const addressColumns = normalizeAddressInput(storeData);
+  if (addressColumns) {
+    for (const [column, value] of Object.entries(addressColumns)) {
+      updateFields.push(`${column} = $${valueIndex}`);
+      values.push(value);
+      valueIndex++;
+    }
+  }
+
+  if (latitude !== undefined) {
+    updateFields.push(`latitude = $${valueIndex}`);
+    values.push(latitude);
     valueIndex++;
   }
 
-  if (ownerId !== undefined) {
-    updateFields.push(`owner_id = $${valueIndex}`);
-    values.push(ownerId);
+  if (longitude !== undefined) {
+    updateFields.push(`longitude = $${valueIndex}`);
+    values.push(longitude);
+    valueIndex++;
+  }
+
+  if (timeZone !== undefined) {
+    updateFields.push(`time_zone = $${valueIndex}`);
+    values.push(timeZone);
     valueIndex++;
   }
 
@@ -245,20 +837,515 @@ const updateStore = async (storeId, storeData) => {
 
   const query = `
     UPDATE stores
-    SET ${updateFields.join(", ")}
+    SET ${updateFields.concat("updated_at = NOW()").join(", ")}
     WHERE id = $${valueIndex}
-    RETURNING id, name, email, address, owner_id, created_at, updated_at
+    RETURNING ${STORE_RETURNING}
   `;
 
-  const result = await db.query(query, values);
-  return result.rows[0];
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const before = await getStoreSnapshot(client, storeId);
+    if (!before) {
+      await client.query("ROLLBACK");
+      return undefined;
+    }
+
+    const result = await client.query(query, values);
+    const store = result.rows[0];
+
+    const taxonomy = await setStoreTaxonomy(client, storeId, {
+      categoryIds,
+      tags,
+    });
+    await setOpeningHours(client, storeId, { openingHours, holidayExceptions });
+    await recordRevision(client, storeId, {
+      actorId,
+      action: "update",
+      before,
+    });
+
+    await client.query("COMMIT");
+
+    const [updated] = await attachOpeningHours([{ ...store, ...taxonomy }]);
+    return updated;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
 };
 
-// Delete a store
-const deleteStore = async (storeId) => {
-  const query = "DELETE FROM stores WHERE id = $1 RETURNING id";
-  const result = await db.query(query, [storeId]);
-  return result.rows[0];
+// Get facet counts for the store list: how many stores (matching the
+// other filters) each category and tag would show
+const getStoreFacets = async (filters = {}) => {
+  const categoryParams = [];
+  const categoryConditions = buildStoreFilters(filters, categoryParams, {
+    except: "category",
+  });
+
+  const categoriesQuery = `
+    SELECT 
+      c.id,
+      c.name,
+      c.slug,
+      COUNT(s.id) as count
+    FROM 
+      categories c
+    LEFT JOIN 
+      store_categories sc ON sc.category_id = c.id
+    LEFT JOIN 
+      stores s ON s.id = sc.store_id
+      ${categoryConditions.map((c) => `AND ${c}`).join(" ")}
+    GROUP BY 
+      c.id
+    ORDER BY 
+      c.name
+  `;
+
+  const tagParams = [];
+  const tagConditions = buildStoreFilters(filters, tagParams, {
+    except: "tag",
+  });
+
+  const tagsQuery = `
+    SELECT 
+      t.tag,
+      COUNT(*) as count
+    FROM 
+      store_tags t
+    JOIN 
+      stores s ON s.id = t.store_id
+    WHERE 
+      ${tagConditions.join(" AND ")}
+    GROUP BY 
+      t.tag
+    ORDER BY 
+      count DESC, t.tag
+  `;
+
+  const [categoriesResult, tagsResult] = await Promise.all([
+    db.query(categoriesQuery, categoryParams),
+    db.query(tagsQuery, tagParams),
+  ]);
+
+  return {
+    categories: categoriesResult.rows.map((row) => ({
+      ...row,
+      count: Number(row.count),
+    })),
+    tags: tagsResult.rows.map((row) => ({
+      tag: row.tag,
+      count: Number(row.count),
+    })),
+  };
+};
+
+// ts_headline options; highlighted words are wrapped in <mark> tags
+const NAME_HEADLINE_OPTIONS =
+  "HighlightAll=true, StartSel=<mark>, StopSel=</mark>";
+const SNIPPET_HEADLINE_OPTIONS =
+  'MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" ... ", StartSel=<mark>, StopSel=</mark>';
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Escape a ts_headline result for HTML, keeping only its <mark> tags
+const toSafeHighlight = (text) =>
+  text === null
+    ? null
+    : escapeHtml(text)
+        .replace(/&lt;mark&gt;/g, "<mark>")
+        .replace(/&lt;\/mark&gt;/g, "</mark>");
+
+// Full-text search over store names, categories, addresses and review text
+// (see the search_vector triggers in db/schema.sql). q uses web search
+// syntax: words, "quoted phrases", OR and -excluded words. Results are
+// ranked by relevance with the name and a snippet highlighted.
+const searchStores = async ({ q, limit = 20, offset = 0 }) => {
+  const query = `
+    WITH search AS (
+      SELECT websearch_to_tsquery('english', $1) AS query
+    ),
+    matches AS (
+      SELECT s.id, ts_rank_cd(s.search_vector, search.query) AS rank
+      FROM stores s, search
+      WHERE s.deleted_at IS NULL AND s.search_vector @@ search.query
+      ORDER BY rank DESC, s.name
+      LIMIT $2 OFFSET $3
+    )
+    SELECT
+      s.id,
+      s.name,
+      s.address,
+      s.city,
+      s.region,
+      m.rank,
+      (SELECT COALESCE(AVG(r.rating), 0) FROM ratings r WHERE r.store_id = s.id) as average_rating,
+      (SELECT COUNT(*) FROM ratings r WHERE r.store_id = s.id) as rating_count,${STORE_CATEGORIES_SQL},
+      ts_headline('english', s.name, search.query, $4) as name_highlight,
+      ts_headline(
+        'english',
+        concat_ws(
+          ' ... ',
+          s.address,
+          (SELECT string_agg(c.name, ', ')
+           FROM store_categories sc
+           JOIN categories c ON sc.category_id = c.id
+           WHERE sc.store_id = s.id),
+          (SELECT string_agg(r.comment, ' ... ') FROM ratings r WHERE r.store_id = s.id)
+        ),
+        search.query,
+        $5
+      ) as snippet
+    FROM
+      matches m
+    JOIN
+      stores s ON m.id = s.id
+    CROSS JOIN
+      search
+    ORDER BY
+      m.rank DESC, s.name
+  `;
+
+  const result = await db.query(query, [
+    q,
+    limit,
+    offset,
+    NAME_HEADLINE_OPTIONS,
+    SNIPPET_HEADLINE_OPTIONS,
+  ]);
+  return result.rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    address: row.address,
+    city: row.city,
+    region: row.region,
+    categories: row.categories,
+    averageRating: Number(row.average_rating),
+    totalRatings: Number(row.rating_count),
+    rank: Math.round(row.rank * 10000) / 10000,
+    highlights: {
+      name: toSafeHighlight(row.name_highlight),
+      snippet: toSafeHighlight(row.snippet),
+    },
+  }));
+};
+
+// Get the distinct cities that have stores, with store counts
+// (optionally only those in the given regions)
+const getCities = async ({ regions } = {}) => {
+  const params = [];
+  let where = "s.city IS NOT NULL AND s.deleted_at IS NULL";
+
+  if (regions && regions.length) {
+    params.push(regions.map((region) => region.toLowerCase()));
+    where += ` AND LOWER(s.region) = ANY($${params.length})`;
+  }
+
+  const query = `
+    SELECT 
+      s.city,
+      s.region,
+      s.country,
+      COUNT(*) as store_count
+    FROM 
+      stores s
+    WHERE 
+      ${where}
+    GROUP BY 
+      s.city, s.region, s.country
+    ORDER BY 
+      s.city, s.region
+  `;
+
+  const result = await db.query(query, params);
+  return result.rows.map((row) => ({
+    city: row.city,
+    region: row.region,
+    country: row.country,
+    storeCount: Number(row.store_count),
+  }));
+};
+
+// Run a single-statement change of a store's archival state in a
+// transaction and record it as a revision. Returns the statement's row.
+const changeArchivalState = async (storeId, actorId, action, query, values) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const before = await getStoreSnapshot(client, storeId);
+    const result = before ? await client.query(query, values) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return undefined;
+    }
+
+    await recordRevision(client, storeId, { actorId, action, before });
+
+    await client.query("COMMIT");
+    return result.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Archive a store: it disappears from listings and can't be rated, but its
+// ratings are kept and it can be restored
+const archiveStore = (storeId, deletedBy = null) =>
+  changeArchivalState(
+    storeId,
+    deletedBy,
+    "archive",
+    `UPDATE stores
+     SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING id, deleted_at`,
+    [storeId, deletedBy]
+  );
+
+// Bring an archived store back (a merged store stops redirecting)
+const restoreStore = (storeId, restoredBy = null) =>
+  changeArchivalState(
+    storeId,
+    restoredBy,
+    "restore",
+    `UPDATE stores
+     SET deleted_at = NULL, deleted_by = NULL, merged_into_id = NULL, updated_at = NOW()
+     WHERE id = $1 AND deleted_at IS NOT NULL
+     RETURNING ${STORE_RETURNING}`,
+    [storeId]
+  );
+
+// Permanently delete an archived store together with its ratings (other
+// store data goes with it through ON DELETE CASCADE)
+const purgeStore = async (storeId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const store = await client.query(
+      "SELECT id, deleted_at FROM stores WHERE id = $1 FOR UPDATE",
+      [storeId]
+    );
+
+    if (store.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    if (!store.rows[0].deleted_at) {
+      throw httpError(409, "Only archived stores can be purged");
+    }
+
+    await client.query("DELETE FROM ratings WHERE store_id = $1", [storeId]);
+    const result = await client.query(
+      "DELETE FROM stores WHERE id = $1 RETURNING id",
+      [storeId]
+    );
+
+    await client.query("COMMIT");
+    return result.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Get archived stores, most recently archived first
+const getArchivedStores = async () => {
+  const query = `
+    SELECT 
+      s.id,
+      s.name,
+      s.email,
+      s.address,
+      s.owner_id,
+      o.name as owner_name,
+      s.deleted_at,
+      s.deleted_by,
+      d.name as deleted_by_name,
+      (SELECT COUNT(*) FROM ratings r WHERE r.store_id = s.id) as rating_count,
+      s.created_at
+    FROM 
+      stores s
+    LEFT JOIN 
+      users o ON s.owner_id = o.id
+    LEFT JOIN 
+      users d ON s.deleted_by = d.id
+    WHERE 
+      s.deleted_at IS NOT NULL
+    ORDER BY 
+      s.deleted_at DESC
+  `;
+
+  const result = await db.query(query);
+  return result.rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    address: row.address,
+    ownerId: row.owner_id,
+    ownerName: row.owner_name,
+    totalRatings: Number(row.rating_count),
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by,
+    deletedByName: row.deleted_by_name,
+    createdAt: row.created_at,
+  }));
+};
+
+// Get pairs of active stores that look like the same shop (see
+// utils/duplicates.js), with the details an admin needs to pick a survivor
+const getDuplicateCandidates = async ({ minScore } = {}) => {
+  const query = `
+    SELECT
+      s.id,
+      s.name,
+      s.email,
+      s.address,
+      s.owner_id,
+      (SELECT COUNT(*) FROM ratings r WHERE r.store_id = s.id) as rating_count,
+      s.created_at
+    FROM
+      stores s
+    WHERE
+      s.deleted_at IS NULL
+    ORDER BY
+      s.id
+  `;
+
+  const result = await db.query(query);
+  const stores = new Map(
+    result.rows.map((row) => [
+      row.id,
+      {
+        id: row.id,
+        name: row.name,
+        email: row.email,
+        address: row.address,
+        ownerId: row.owner_id,
+        totalRatings: Number(row.rating_count),
+        createdAt: row.created_at,
+      },
+    ])
+  );
+
+  return findDuplicateCandidates(result.rows, { minScore }).map(
+    ({ storeIds, ...candidate }) => ({
+      ...candidate,
+      stores: storeIds.map((id) => stores.get(id)),
+    })
+  );
+};
+
+// Merge a duplicate store into the surviving one: its ratings move over
+// (when a user rated both, only their most recent rating is kept) and it is
+// archived, redirecting to the survivor
+const mergeStores = async (sourceId, targetId, mergedBy = null) => {
+  if (sourceId === targetId) {
+    throw httpError(400, "A store can't be merged into itself");
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const stores = await client.query(
+      "SELECT id, deleted_at FROM stores WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE",
+      [[sourceId, targetId]]
+    );
+    const source = stores.rows.find((row) => row.id === sourceId);
+    const target = stores.rows.find((row) => row.id === targetId);
+
+    if (!source || source.deleted_at) {
+      throw httpError(404, "Store not found");
+    }
+
+    if (!target || target.deleted_at) {
+      throw httpError(404, "Store to merge into not found");
+    }
+
+    const before = await getStoreSnapshot(client, sourceId);
+
+    // Ratings are unique per user and store, so for users who rated both
+    // stores drop the older of the two before moving the rest
+    const olderSource = await client.query(
+      `DELETE FROM ratings s
+       USING ratings t
+       WHERE s.store_id = $1 AND t.store_id = $2 AND s.user_id = t.user_id
+         AND s.updated_at <= t.updated_at`,
+      [sourceId, targetId]
+    );
+    const olderTarget = await client.query(
+      `DELETE FROM ratings t
+       USING ratings s
+       WHERE t.store_id = $2 AND s.store_id = $1 AND s.user_id = t.user_id`,
+      [sourceId, targetId]
+    );
+    const moved = await client.query(
+      "UPDATE ratings SET store_id = $2 WHERE store_id = $1",
+      [sourceId, targetId]
+    );
+
+    await client.query(
+      `UPDATE stores
+       SET deleted_at = NOW(), deleted_by = $2, merged_into_id = $3, updated_at = NOW()
+       WHERE id = $1`,
+      [sourceId, mergedBy, targetId]
+    );
+    // Older duplicates merged into the source now redirect to the survivor
+    await client.query(
+      "UPDATE stores SET merged_into_id = $2 WHERE merged_into_id = $1",
+      [sourceId, targetId]
+    );
+    await recordRevision(client, sourceId, {
+      actorId: mergedBy,
+      action: "archive",
+      before,
+    });
+
+    await client.query("COMMIT");
+
+    return {
+      ratingsMoved: moved.rowCount,
+      ratingsDropped: olderSource.rowCount + olderTarget.rowCount,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Get the ID of the store a merged store redirects to (null if it wasn't merged)
+const getMergeTarget = async (storeId) => {
+  const result = await db.query(
+    `SELECT t.id
+     FROM stores s
+     JOIN stores t ON s.merged_into_id = t.id
+     WHERE s.id = $1 AND s.deleted_at IS NOT NULL AND t.deleted_at IS NULL`,
+    [storeId]
+  );
+  return result.rows.length ? result.rows[0].id : null;
 };
 
 // Get stores by owner ID
@@ -278,7 +1365,7 @@ const getStoresByOwnerId = async (ownerId) => {
     LEFT JOIN 
       ratings r ON s.id = r.store_id
     WHERE 
-      s.owner_id = $1
+      s.owner_id = $1 AND s.deleted_at IS NULL
     GROUP BY 
       s.id
   `;
@@ -293,6 +1380,176 @@ const getStoresByOwnerId = async (ownerId) => {
   }));
 };
 
+// Record a new owner in the ownership history, closing the current period.
+// Pass a transaction client so the history matches stores.owner_id.
+const recordOwnerChange = async (
+  client,
+  storeId,
+  ownerId,
+  { changedBy = null, transferId = null } = {}
+) => {
+  await client.query(
+    `UPDATE store_ownership_history
+     SET ended_at = NOW()
+     WHERE store_id = $1 AND ended_at IS NULL`,
+    [storeId]
+  );
+
+  if (ownerId) {
+    await client.query(
+      `INSERT INTO store_ownership_history (store_id, owner_id, changed_by, transfer_id)
+       VALUES ($1, $2, $3, $4)`,
+      [storeId, ownerId, changedBy, transferId]
+    );
+  }
+};
+
+// Make a user the owner of an existing store, recording it in the ownership
+// history and the store's revisions. Pass a transaction client.
+const assignOwner = async (
+  client,
+  storeId,
+  ownerId,
+  { changedBy = null, transferId = null } = {}
+) => {
+  const before = await getStoreSnapshot(client, storeId);
+
+  // The verified badge was granted to the previous owner
+  await client.query(
+    `UPDATE stores
+     SET owner_id = $1,
+         verified_at = CASE WHEN owner_id IS DISTINCT FROM $1 THEN NULL ELSE verified_at END,
+         updated_at = NOW()
+     WHERE id = $2`,
+    [ownerId, storeId]
+  );
+  await recordOwnerChange(client, storeId, ownerId, { changedBy, transferId });
+  await recordRevision(client, storeId, {
+    actorId: changedBy,
+    action: "owner_change",
+    before,
+  });
+};
+
+// Put a store's details, categories, tags and hours back to the state a
+// revision left them in. The owner, brand and archival state aren't touched.
+const revertStore = async (storeId, revisionId, actorId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const before = await getStoreSnapshot(client, storeId);
+    if (!before) {
+      throw httpError(404, "Store not found");
+    }
+
+    if (before.deletedAt) {
+      throw httpError(409, "Restore the store before reverting it");
+    }
+
+    const snapshot = await getRevisionSnapshot(client, storeId, revisionId);
+    if (!snapshot) {
+      throw httpError(404, "Revision not found");
+    }
+
+    const emailResult = await client.query(
+      "SELECT id FROM stores WHERE email = $1 AND id != $2",
+      [snapshot.email, storeId]
+    );
+    if (emailResult.rows.length > 0) {
+      throw httpError(409, "The revision's email is now used by another store");
+    }
+
+    // Like updateStore, a changed name or email loses the verified badge
+    await client.query(
+      `UPDATE stores
+       SET name = $1, email = $2, address = $3, street = $4, city = $5,
+           region = $6, postal_code = $7, country = $8, latitude = $9,
+           longitude = $10, time_zone = $11, updated_at = NOW(),
+           verified_at = CASE WHEN name IS DISTINCT FROM $1 OR email IS DISTINCT FROM $2
+                              THEN NULL ELSE verified_at END
+       WHERE id = $12`,
+      [
+        snapshot.name,
+        snapshot.email,
+        snapshot.address,
+        snapshot.street,
+        snapshot.city,
+        snapshot.region,
+        snapshot.postalCode,
+        snapshot.country,
+        snapshot.latitude,
+        snapshot.longitude,
+        snapshot.timeZone,
+        storeId,
+      ]
+    );
+    await setStoreTaxonomy(client, storeId, {
+      categoryIds: snapshot.categoryIds,
+      tags: snapshot.tags,
+    });
+    await setOpeningHours(client, storeId, {
+      openingHours: snapshot.openingHours,
+      holidayExceptions: snapshot.holidayExceptions,
+    });
+    await recordRevision(client, storeId, {
+      actorId,
+      action: "revert",
+      before,
+      revertedFrom: revisionId,
+    });
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getStoreById(storeId);
+};
+
+// Get who owned a store and when, most recent first
+const getOwnershipHistory = async (storeId) => {
+  const query = `
+    SELECT 
+      h.id,
+      h.owner_id,
+      o.name as owner_name,
+      o.email as owner_email,
+      h.started_at,
+      h.ended_at,
+      h.changed_by,
+      c.name as changed_by_name,
+      h.transfer_id
+    FROM 
+      store_ownership_history h
+    LEFT JOIN 
+      users o ON h.owner_id = o.id
+    LEFT JOIN 
+      users c ON h.changed_by = c.id
+    WHERE 
+      h.store_id = $1
+    ORDER BY 
+      h.started_at DESC, h.id DESC
+  `;
+
+  const result = await db.query(query, [storeId]);
+  return result.rows.map((h) => ({
+    id: h.id,
+    ownerId: h.owner_id,
+    ownerName: h.owner_name,
+    ownerEmail: h.owner_email,
+    startedAt: h.started_at,
+    endedAt: h.ended_at,
+    changedBy: h.changed_by,
+    changedByName: h.changed_by_name,
+    transferId: h.transfer_id,
+  }));
+};
+
 // Check if email is already in use
 const isEmailInUse = async (email, excludeStoreId = null) => {
   let query = "SELECT id FROM stores WHERE email = $1";
@@ -309,11 +1566,26 @@ const isEmailInUse = async (email, excludeStoreId = null) => {
 
 module.exports = {
   getAllStores,
+  getStoreFacets,
+  getCities,
+  searchStores,
+  exportStores,
   getStoreById,
   getStoreRatings,
   createStore,
+  importStores,
   updateStore,
-  deleteStore,
+  archiveStore,
+  restoreStore,
+  purgeStore,
+  getArchivedStores,
+  getDuplicateCandidates,
+  mergeStores,
+  getMergeTarget,
   getStoresByOwnerId,
+  recordOwnerChange,
+  assignOwner,
+  revertStore,
+  getOwnershipHistory,
   isEmailInUse,
 };
@@ -0,0 +1,280 @@
+const crypto = require("crypto");
+const db = require("../config/db");
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+);
+const PASSWORD_RESET_TTL_MINUTES = parseInt(
+  process.env.PASSWORD_RESET_TTL_MINUTES || "60",
+  10
+);
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(
+  process.env.EMAIL_VERIFICATION_TTL_HOURS || "48",
+  10
+);
+
+/**
+ * Hash a raw token for storage and lookup
+ * @param {string} token - Raw token sent to the client
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Generate a new random refresh token with its expiry date
+ * @returns {{token: string, tokenHash: string, expiresAt: Date}}
+ */
+const generateRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  return { token, tokenHash: hashToken(token), expiresAt };
+};
+
+/**
+ * Create a refresh token that starts a new token family (login session)
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Raw refresh token, family ID and expiry
+ */
+const createRefreshToken = async (userId) => {
+  const { token, tokenHash, expiresAt } = generateRefreshToken();
+  const familyId = crypto.randomUUID();
+
+  await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, tokenHash, familyId, expiresAt]
+  );
+
+  return { refreshToken: token, familyId, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Presenting a token that was already rotated or revoked is treated as
+ * token theft and revokes every token in its family.
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<Object|null>} New token data, { reused: true } on reuse,
+ * or null if the token is unknown or expired
+ */
+const rotateRefreshToken = async (token) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const current = await client.query(
+      `SELECT id, user_id, family_id, expires_at, revoked_at
+       FROM refresh_tokens
+       WHERE token_hash = $1
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const row = current.rows[0];
+
+    if (row.revoked_at) {
+      await client.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = NOW()
+         WHERE family_id = $1 AND revoked_at IS NULL`,
+        [row.family_id]
+      );
+      await client.query("COMMIT");
+      return { reused: true, userId: row.user_id, familyId: row.family_id };
+    }
+
+    if (new Date(row.expires_at) <= new Date()) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const { token: newToken, tokenHash, expiresAt } = generateRefreshToken();
+
+    const inserted = await client.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [row.user_id, tokenHash, row.family_id, expiresAt]
+    );
+
+    await client.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW(), replaced_by = $1
+       WHERE id = $2`,
+      [inserted.rows[0].id, row.id]
+    );
+
+    await client.query("COMMIT");
+    return {
+      userId: row.user_id,
+      familyId: row.family_id,
+      refreshToken: newToken,
+      expiresAt,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Revoke the whole family a refresh token belongs to (logout)
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<Object|null>} Family info or null if the token is unknown
+ */
+const revokeRefreshTokenFamily = async (token) => {
+  const result = await db.query(
+    "SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = $1",
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { user_id: userId, family_id: familyId } = result.rows[0];
+
+  await db.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = NOW()
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId]
+  );
+
+  return { userId, familyId };
+};
+
+/**
+ * Check whether a token family still has a live refresh token
+ * @param {string} familyId - Token family ID
+ * @returns {Promise<boolean>} True if the session has not been revoked
+ */
+const isSessionActive = async (familyId) => {
+  const result = await db.query(
+    `SELECT 1 FROM refresh_tokens
+     WHERE family_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     LIMIT 1`,
+    [familyId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke every active refresh token of a user (e.g. after a password reset)
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Optional transaction client
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+const revokeAllUserTokens = async (userId, client = db) => {
+  const result = await client.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Make a user's unused email verification tokens unusable (e.g. after the
+ * email address changed)
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Optional transaction client
+ * @returns {Promise<number>} Number of invalidated tokens
+ */
+const invalidateEmailVerificationTokens = async (userId, client = db) => {
+  const result = await client.query(
+    `UPDATE email_verification_tokens
+     SET used_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Create a single-use password reset token for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Raw reset token and expiry
+ */
+const createPasswordResetToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(
+    Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+  );
+
+  await db.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)`,
+    [userId, hashToken(token), expiresAt]
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Create a single-use email verification token for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Raw verification token and expiry
+ */
+const createEmailVerificationToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  await db.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)`,
+    [userId, hashToken(token), expiresAt]
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Mark a login challenge token as used
+ * @param {string} jti - Challenge token ID
+ * @param {Date} expiresAt - When the challenge token expires
+ * @returns {Promise<boolean>} False if the challenge was already used
+ */
+const consumeLoginChallenge = async (jti, expiresAt) => {
+  await db.query("DELETE FROM used_login_challenges WHERE expires_at < NOW()");
+
+  const result = await db.query(
+    `INSERT INTO used_login_challenges (jti, expires_at)
+     VALUES ($1, $2)
+     ON CONFLICT (jti) DO NOTHING
+     RETURNING jti`,
+    [jti, expiresAt]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  hashToken,
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+  isSessionActive,
+  revokeAllUserTokens,
+  invalidateEmailVerificationTokens,
+  createPasswordResetToken,
+  createEmailVerificationToken,
+  consumeLoginChallenge,
+};
@@ -0,0 +1,234 @@
+const db = require("../config/db");
+const { assignOwner } = require("./store.model");
+const httpError = require("../utils/httpError");
+
+const TRANSFER_SELECT = `
+  SELECT t.id, t.store_id, t.from_owner_id, t.to_owner_id, t.initiated_by,
+         t.status, t.note, t.created_at, t.responded_at,
+         s.name as store_name, f.name as from_owner_name,
+         r.name as to_owner_name, i.name as initiated_by_name
+  FROM store_transfers t
+  JOIN stores s ON t.store_id = s.id
+  LEFT JOIN users f ON t.from_owner_id = f.id
+  LEFT JOIN users r ON t.to_owner_id = r.id
+  LEFT JOIN users i ON t.initiated_by = i.id`;
+
+const formatTransfer = (t) => ({
+  id: t.id,
+  storeId: t.store_id,
+  storeName: t.store_name,
+  fromOwnerId: t.from_owner_id,
+  fromOwnerName: t.from_owner_name,
+  toOwnerId: t.to_owner_id,
+  toOwnerName: t.to_owner_name,
+  initiatedBy: t.initiated_by,
+  initiatedByName: t.initiated_by_name,
+  status: t.status,
+  note: t.note,
+  createdAt: t.created_at,
+  respondedAt: t.responded_at,
+});
+
+/**
+ * Get transfer by ID
+ * @param {number} id - Transfer ID
+ * @returns {Promise<Object|null>} Transfer or null if not found
+ */
+const getTransferById = async (id) => {
+  const result = await db.query(`${TRANSFER_SELECT} WHERE t.id = $1`, [id]);
+  return result.rows.length ? formatTransfer(result.rows[0]) : null;
+};
+
+/**
+ * Get transfers, optionally limited to those involving a user
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.userId] - Sender, recipient or initiator
+ * @param {string} [filters.status] - pending, accepted, declined or cancelled
+ * @param {number} [filters.storeId] - Store ID
+ * @returns {Promise<Array>} Transfers, newest first
+ */
+const getTransfers = async ({ userId, status, storeId } = {}) => {
+  let query = `${TRANSFER_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    query += ` AND (t.from_owner_id = $${params.length}
+                 OR t.to_owner_id = $${params.length}
+                 OR t.initiated_by = $${params.length})`;
+  }
+
+  if (status) {
+    params.push(status);
+    query += ` AND t.status = $${params.length}`;
+  }
+
+  if (storeId) {
+    params.push(storeId);
+    query += ` AND t.store_id = $${params.length}`;
+  }
+
+  query += " ORDER BY t.created_at DESC";
+
+  const result = await db.query(query, params);
+  return result.rows.map(formatTransfer);
+};
+
+/**
+ * Start an ownership transfer. The recipient has to accept it before
+ * anything changes.
+ * @param {Object} transferData - storeId, toOwnerId, initiatedBy and note
+ * @returns {Promise<Object>} Created transfer
+ * @throws {Error} With statusCode when the transfer can't be started
+ */
+const createTransfer = async ({ storeId, toOwnerId, initiatedBy, note }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const storeResult = await client.query(
+      "SELECT id, owner_id FROM stores WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+      [storeId]
+    );
+    if (storeResult.rows.length === 0) {
+      throw httpError(404, "Store not found");
+    }
+    const store = storeResult.rows[0];
+
+    const recipientResult = await client.query(
+      "SELECT id, role FROM users WHERE id = $1",
+      [toOwnerId]
+    );
+    if (
+      recipientResult.rows.length === 0 ||
+      recipientResult.rows[0].role !== "store_owner"
+    ) {
+      throw httpError(400, "Stores can only be transferred to a store owner");
+    }
+
+    if (store.owner_id === toOwnerId) {
+      throw httpError(400, "This user already owns the store");
+    }
+
+    const pendingResult = await client.query(
+      "SELECT id FROM store_transfers WHERE store_id = $1 AND status = 'pending'",
+      [storeId]
+    );
+    if (pendingResult.rows.length > 0) {
+      throw httpError(
+        409,
+        "A transfer is already pending for this store. Cancel it first"
+      );
+    }
+
+    const result = await client.query(
+      `INSERT INTO store_transfers (store_id, from_owner_id, to_owner_id, initiated_by, note)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [storeId, store.owner_id, toOwnerId, initiatedBy, note || null]
+    );
+
+    await client.query("COMMIT");
+    return getTransferById(result.rows[0].id);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Accept a pending transfer: the store changes owner and the ownership
+ * history is updated in the same transaction.
+ * @param {number} id - Transfer ID
+ * @param {number} userId - Accepting user, must be the recipient
+ * @returns {Promise<Object>} Accepted transfer
+ * @throws {Error} With statusCode when the transfer can't be accepted
+ */
+const acceptTransfer = async (id, userId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const transferResult = await client.query(
+      "SELECT * FROM store_transfers WHERE id = $1 FOR UPDATE",
+      [id]
+    );
+    const transfer = transferResult.rows[0];
+
+    if (!transfer || transfer.to_owner_id !== userId) {
+      throw httpError(404, "Transfer not found");
+    }
+
+    if (transfer.status !== "pending") {
+      throw httpError(400, `Transfer has already been ${transfer.status}`);
+    }
+
+    const storeResult = await client.query(
+      "SELECT owner_id, deleted_at FROM stores WHERE id = $1 FOR UPDATE",
+      [transfer.store_id]
+    );
+    const store = storeResult.rows[0];
+
+    if (!store || store.deleted_at) {
+      throw httpError(409, "The store has been archived or deleted");
+    }
+
+    // The store changed hands some other way since the transfer was started
+    if (store.owner_id !== transfer.from_owner_id) {
+      throw httpError(
+        409,
+        "The store owner changed since this transfer was started"
+      );
+    }
+
+    await assignOwner(client, transfer.store_id, userId, {
+      changedBy: transfer.initiated_by,
+      transferId: transfer.id,
+    });
+
+    await client.query(
+      `UPDATE store_transfers
+       SET status = 'accepted', responded_at = NOW()
+       WHERE id = $1`,
+      [id]
+    );
+
+    await client.query("COMMIT");
+    return getTransferById(id);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Close a pending transfer without changing the owner
+ * @param {number} id - Transfer ID
+ * @param {string} status - declined (by the recipient) or cancelled
+ * @returns {Promise<Object|null>} Updated transfer or null if not pending
+ */
+const closeTransfer = async (id, status) => {
+  const result = await db.query(
+    `UPDATE store_transfers
+     SET status = $1, responded_at = NOW()
+     WHERE id = $2 AND status = 'pending'
+     RETURNING id`,
+    [status, id]
+  );
+
+  return result.rows.length ? getTransferById(id) : null;
+};
+
+module.exports = {
+  getTransferById,
+  getTransfers,
+  createTransfer,
+  acceptTransfer,
+  closeTransfer,
+};
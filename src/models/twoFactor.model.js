@@ -0,0 +1,292 @@
+const crypto = require("crypto");
+const db = require("../config/db");
+const { hashToken } = require("./token.model");
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize a recovery code as typed by the user (case and dashes ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Optional transaction client
+ * @returns {Promise<Array<string>>} Raw recovery codes (shown to the user once)
+ */
+const createRecoveryCodes = async (userId, client = db) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+
+  for (const code of codes) {
+    await client.query(
+      "INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * Get a user's two-factor state
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Two-factor state or null if user not found
+ */
+const getTwoFactorState = async (userId) => {
+  const result = await db.query(
+    `SELECT id, name, email, role, totp_secret, totp_pending_secret,
+            totp_enabled_at, totp_last_used_step,
+            (SELECT COUNT(*) FROM recovery_codes
+             WHERE user_id = users.id AND used_at IS NULL) as recovery_codes_left
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    enabled: !!row.totp_enabled_at,
+    enabledAt: row.totp_enabled_at,
+    secret: row.totp_secret,
+    pendingSecret: row.totp_pending_secret,
+    lastUsedStep:
+      row.totp_last_used_step === null ? null : Number(row.totp_last_used_step),
+    recoveryCodesLeft: Number(row.recovery_codes_left),
+  };
+};
+
+/**
+ * Store a secret awaiting confirmation (enrollment step one)
+ * @param {number} userId - User ID
+ * @param {string} secret - Base32 TOTP secret
+ */
+const setPendingSecret = async (userId, secret) => {
+  await db.query("UPDATE users SET totp_pending_secret = $1 WHERE id = $2", [
+    secret,
+    userId,
+  ]);
+};
+
+/**
+ * Activate the pending secret and issue recovery codes (enrollment step two)
+ * @param {number} userId - User ID
+ * @param {number} step - Time step of the confirmation code
+ * @returns {Promise<Array<string>>} Raw recovery codes
+ */
+const enableTwoFactor = async (userId, step) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    await client.query(
+      `UPDATE users
+       SET totp_secret = totp_pending_secret,
+           totp_pending_secret = NULL,
+           totp_enabled_at = NOW(),
+           totp_last_used_step = $2
+       WHERE id = $1`,
+      [userId, step]
+    );
+
+    const codes = await createRecoveryCodes(userId, client);
+
+    await client.query("COMMIT");
+    return codes;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Turn off two-factor authentication and remove recovery codes
+ * @param {number} userId - User ID
+ */
+const disableTwoFactor = async (userId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    await client.query(
+      `UPDATE users
+       SET totp_secret = NULL,
+           totp_pending_secret = NULL,
+           totp_enabled_at = NULL,
+           totp_last_used_step = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [
+      userId,
+    ]);
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Regenerate recovery codes (invalidates the previous set)
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} Raw recovery codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+    const codes = await createRecoveryCodes(userId, client);
+    await client.query("COMMIT");
+    return codes;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Record a TOTP time step as used so the same code can't be replayed
+ * @param {number} userId - User ID
+ * @param {number} step - Time step of the accepted code
+ * @returns {Promise<boolean>} False if this or a later step was already used
+ */
+const markStepUsed = async (userId, step) => {
+  const result = await db.query(
+    `UPDATE users
+     SET totp_last_used_step = $2
+     WHERE id = $1
+       AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+     RETURNING id`,
+    [userId, step]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Use up a recovery code
+ * @param {number} userId - User ID
+ * @param {string} code - Recovery code as entered by the user
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await db.query(
+    `UPDATE recovery_codes
+     SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+       FOR UPDATE
+     )
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Get the 2FA requirement for every role
+ * @returns {Promise<Array>} Policies
+ */
+const getPolicies = async () => {
+  const result = await db.query(
+    `SELECT r.role, COALESCE(p.required, FALSE) as required,
+            p.updated_by, p.updated_at
+     FROM (VALUES ('admin'), ('store_owner'), ('user')) AS r(role)
+     LEFT JOIN two_factor_policies p ON p.role = r.role
+     ORDER BY r.role`
+  );
+
+  return result.rows.map((p) => ({
+    role: p.role,
+    required: p.required,
+    updatedBy: p.updated_by,
+    updatedAt: p.updated_at,
+  }));
+};
+
+/**
+ * Check if a role must use two-factor authentication
+ * @param {string} role - User role
+ * @returns {Promise<boolean>} True if 2FA is required
+ */
+const isRequiredForRole = async (role) => {
+  const result = await db.query(
+    "SELECT required FROM two_factor_policies WHERE role = $1",
+    [role]
+  );
+
+  return result.rows.length > 0 && result.rows[0].required;
+};
+
+/**
+ * Set whether a role must use two-factor authentication
+ * @param {string} role - User role
+ * @param {boolean} required - Whether 2FA is required
+ * @param {number} adminId - Admin making the change
+ * @returns {Promise<Object>} Updated policy
+ */
+const setPolicy = async (role, required, adminId) => {
+  const result = await db.query(
+    `INSERT INTO two_factor_policies (role, required, updated_by, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (role) DO UPDATE SET
+       required = EXCLUDED.required,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING role, required, updated_by, updated_at`,
+    [role, required, adminId]
+  );
+
+  const p = result.rows[0];
+  return {
+    role: p.role,
+    required: p.required,
+    updatedBy: p.updated_by,
+    updatedAt: p.updated_at,
+  };
+};
+
+module.exports = {
+  getTwoFactorState,
+  setPendingSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  markStepUsed,
+  consumeRecoveryCode,
+  getPolicies,
+  isRequiredForRole,
+  setPolicy,
+};
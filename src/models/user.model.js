@@ -1,5 +1,32 @@
 const db = require("../config/db");
 const bcrypt = require("bcrypt");
+const tokenModel = require("./token.model");
+const { normalizeAddressInput } = require("../utils/address");
+const { sanitizeUser } = require("../utils/helpers");
+const { EXPORT_BATCH_SIZE } = require("../utils/export");
+
+// Stores owned by the user as a JSON array of {id, name}, ordered by ID
+// (archived stores are left out)
+const OWNED_STORES_SQL = `
+      COALESCE(
+        (SELECT json_agg(json_build_object('id', s.id, 'name', s.name) ORDER BY s.id)
+         FROM stores s
+         WHERE s.owner_id = u.id AND s.deleted_at IS NULL),
+        '[]'
+      ) as stores`;
+
+// Columns returned after creating or updating a user
+const USER_RETURNING = `id, name, email, address, street, city, region, postal_code, country,
+              role, created_at`;
+
+// Owned store fields for API responses. storeId/storeName are the first
+// store, kept for clients that only handle a single store.
+const formatOwnedStores = (user) => ({
+  storeId: user.stores.length ? user.stores[0].id : null,
+  storeName: user.stores.length ? user.stores[0].name : null,
+  storeIds: user.stores.map((store) => store.id),
+  stores: user.stores,
+});
 
 // Get all users with their store information if applicable
 const getAllUsers = async () => {
@@ -9,14 +36,16 @@ const getAllUsers = async () => {
       u.name, 
       u.email, 
       u.address, 
+      u.street,
+      u.city,
+      u.region,
+      u.postal_code,
+      u.country,
       u.role, 
-      u.created_at,
-      s.id as store_id,
-      s.name as store_name
+      u.email_verified_at,
+      u.created_at,${OWNED_STORES_SQL}
     FROM 
       users u
-    LEFT JOIN 
-      stores s ON u.id = s.owner_id
     ORDER BY 
       u.name
   `;
@@ -33,14 +62,16 @@ const getUserById = async (userId) => {
       u.name, 
       u.email, 
       u.address, 
+      u.street,
+      u.city,
+      u.region,
+      u.postal_code,
+      u.country,
       u.role, 
-      u.created_at,
-      s.id as store_id,
-      s.name as store_name
+      u.email_verified_at,
+      u.created_at,${OWNED_STORES_SQL}
     FROM 
       users u
-    LEFT JOIN 
-      stores s ON u.id = s.owner_id
     WHERE 
       u.id = $1
   `;
@@ -53,13 +84,9 @@ const getUserById = async (userId) => {
 const getUserByEmail = async (email) => {
   const query = `
     SELECT 
-      u.*, 
-      s.id as store_id, 
-      s.name as store_name
+      u.*,${OWNED_STORES_SQL}
     FROM 
       users u
-    LEFT JOIN 
-      stores s ON u.id = s.owner_id
     WHERE 
       u.email = $1
   `;
@@ -70,19 +97,31 @@ const getUserByEmail = async (email) => {
 
 // Create a new user
 const createUser = async (userData) => {
-  const { name, email, password, address, role } = userData;
+  const { name, email, password, role } = userData;
+  const addressColumns = normalizeAddressInput(userData) || {};
 
   // Hash password
   const saltRounds = 10;
   const hashedPassword = await bcrypt.hash(password, saltRounds);
 
   const query = `
-    INSERT INTO users (name, email, password, address, role)
-    VALUES ($1, $2, $3, $4, $5)
-    RETURNING id, name, email, address, role, created_at
+    INSERT INTO users (name, email, password, address, street, city, region, postal_code, country, role)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING ${USER_RETURNING}
   `;
 
-  const values = [name, email, hashedPassword, address, role];
+  const values = [
+    name,
+    email,
+    hashedPassword,
+    addressColumns.address || null,
+    addressColumns.street || null,
+    addressColumns.city || null,
+    addressColumns.region || null,
+    addressColumns.postal_code || null,
+    addressColumns.country || null,
+    role,
+  ];
   const result = await db.query(query, values);
 
   return result.rows[0];
@@ -90,7 +129,7 @@ const createUser = async (userData) => {
 
 // Update a user
 const updateUser = async (userId, userData) => {
-  const { name, email, password, address, role } = userData;
+  const { name, email, password, role } = userData;
 
   // Build update query dynamically
   let updateFields = [];
@@ -104,6 +143,10 @@ const updateUser = async (userId, userData) => {
   }
 
   if (email) {
+    // A new address has to be verified again
+    updateFields.push(
+      `email_verified_at = CASE WHEN email IS DISTINCT FROM $${valueIndex} THEN NULL ELSE email_verified_at END`
+    );
     updateFields.push(`email = $${valueIndex}`);
     values.push(email);
     valueIndex++;
@@ -117,10 +160,14 @@ const updateUser = async (userId, userData) => {
     valueIndex++;
   }
 
-  if (address !== undefined) {
-    updateFields.push(`address = $${valueIndex}`);
-    values.push(address);
-    valueIndex++;
+  // Address text and parts are always updated together
+  const addressColumns = normalizeAddressInput(userData);
+  if (addressColumns) {
+    for (const [column, value] of Object.entries(addressColumns)) {
+      updateFields.push(`${column} = $${valueIndex}`);
+      values.push(value);
+      valueIndex++;
+    }
   }
 
   if (role) {
@@ -136,11 +183,33 @@ const updateUser = async (userId, userData) => {
     UPDATE users
     SET ${updateFields.join(", ")}
     WHERE id = $${valueIndex}
-    RETURNING id, name, email, address, role, created_at
+    RETURNING ${USER_RETURNING}
   `;
 
-  const result = await db.query(query, values);
-  return result.rows[0];
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const current = await client.query(
+      "SELECT email FROM users WHERE id = $1 FOR UPDATE",
+      [userId]
+    );
+    const result = await client.query(query, values);
+
+    // Verification links sent to the old address must not verify the new one
+    if (email && current.rows.length && current.rows[0].email !== email) {
+      await tokenModel.invalidateEmailVerificationTokens(userId, client);
+    }
+
+    await client.query("COMMIT");
+    return result.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
 };
 
 // Delete a user
@@ -187,6 +256,75 @@ const getAvailableStoreOwners = async () => {
   return result.rows;
 };
 
+// Export users matching the user list filters (name, email and address
+// contain the text, role is exact) in batches of EXPORT_BATCH_SIZE passed
+// to onBatch. Passwords and two-factor secrets are stripped by sanitizeUser.
+const exportUsers = async ({ name, email, address, role } = {}, onBatch) => {
+  const conditions = [];
+  const params = [];
+
+  for (const [column, value] of Object.entries({ name, email, address })) {
+    if (value) {
+      params.push(`%${value}%`);
+      conditions.push(`u.${column} ILIKE $${params.length}`);
+    }
+  }
+
+  if (role) {
+    params.push(role);
+    conditions.push(`u.role = $${params.length}`);
+  }
+
+  let lastId = 0;
+  for (;;) {
+    const query = `
+      SELECT
+        u.*,${OWNED_STORES_SQL}
+      FROM
+        users u
+      WHERE
+        ${[...conditions, `u.id > $${params.length + 1}`].join(" AND ")}
+      ORDER BY
+        u.id
+      LIMIT $${params.length + 2}
+    `;
+
+    const result = await db.query(query, [
+      ...params,
+      lastId,
+      EXPORT_BATCH_SIZE,
+    ]);
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    await onBatch(
+      result.rows.map(sanitizeUser).map((user) => ({
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        address: user.address,
+        street: user.street,
+        city: user.city,
+        region: user.region,
+        postalCode: user.postal_code,
+        country: user.country,
+        role: user.role,
+        emailVerifiedAt: user.email_verified_at,
+        twoFactorEnabled: Boolean(user.totp_enabled_at),
+        storeIds: user.stores.map((store) => store.id),
+        createdAt: user.created_at,
+        updatedAt: user.updated_at,
+      }))
+    );
+
+    if (result.rows.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+};
+
 // Check if email is already in use
 const isEmailInUse = async (email, excludeUserId = null) => {
   let query = "SELECT id FROM users WHERE email = $1";
@@ -214,6 +352,104 @@ const verifyPassword = async (userId, password) => {
   return bcrypt.compare(password, hashedPassword);
 };
 
+// Set a new password using a password reset token. The token is consumed,
+// any other outstanding reset tokens are invalidated and all sessions are
+// revoked. Returns the user ID, or null if the token is invalid/expired/used.
+const resetPasswordWithToken = async (token, newPassword) => {
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const tokenResult = await client.query(
+      `SELECT id, user_id
+       FROM password_reset_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [tokenModel.hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    await client.query(
+      "UPDATE users SET password = $1, updated_at = NOW() WHERE id = $2",
+      [hashedPassword, userId]
+    );
+
+    await client.query(
+      `UPDATE password_reset_tokens
+       SET used_at = NOW()
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+
+    await tokenModel.revokeAllUserTokens(userId, client);
+
+    await client.query("COMMIT");
+    return userId;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Mark a user's email as verified using a verification token. Returns the
+// user ID, or null if the token is invalid, expired or already used.
+const verifyEmailWithToken = async (token) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const tokenResult = await client.query(
+      `SELECT id, user_id
+       FROM email_verification_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [tokenModel.hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    await client.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1`,
+      [userId]
+    );
+
+    await client.query(
+      `UPDATE email_verification_tokens
+       SET used_at = NOW()
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+
+    await client.query("COMMIT");
+    return userId;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -223,6 +459,10 @@ module.exports = {
   deleteUser,
   updatePassword,
   getAvailableStoreOwners,
+  exportUsers,
   isEmailInUse,
   verifyPassword,
+  resetPasswordWithToken,
+  verifyEmailWithToken,
+  formatOwnedStores,
 };
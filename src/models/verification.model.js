@@ -0,0 +1,319 @@
+const db = require("../config/db");
+const httpError = require("../utils/httpError");
+
+const VERIFICATION_SELECT = `
+  SELECT v.id, v.store_id, v.requested_by, v.notes, v.status,
+         v.rejection_reason, v.reviewed_by, v.reviewed_at, v.created_at,
+         s.name as store_name, u.name as requested_by_name,
+         u.email as requested_by_email, r.name as reviewed_by_name,
+         COALESCE(
+           (SELECT json_agg(json_build_object(
+              'id', d.id,
+              'filename', d.filename,
+              'contentType', d.content_type,
+              'sizeBytes', d.size_bytes
+            ) ORDER BY d.id)
+            FROM store_verification_documents d WHERE d.request_id = v.id),
+           '[]'
+         ) as documents
+  FROM store_verification_requests v
+  JOIN stores s ON v.store_id = s.id
+  LEFT JOIN users u ON v.requested_by = u.id
+  LEFT JOIN users r ON v.reviewed_by = r.id`;
+
+const formatVerification = (v) => ({
+  id: v.id,
+  storeId: v.store_id,
+  storeName: v.store_name,
+  requestedBy: v.requested_by,
+  requestedByName: v.requested_by_name,
+  requestedByEmail: v.requested_by_email,
+  notes: v.notes,
+  documents: v.documents,
+  status: v.status,
+  rejectionReason: v.rejection_reason,
+  reviewedBy: v.reviewed_by,
+  reviewedByName: v.reviewed_by_name,
+  reviewedAt: v.reviewed_at,
+  createdAt: v.created_at,
+});
+
+/**
+ * Get verification request by ID
+ * @param {number} id - Verification request ID
+ * @returns {Promise<Object|null>} Request or null if not found
+ */
+const getVerificationById = async (id) => {
+  const result = await db.query(`${VERIFICATION_SELECT} WHERE v.id = $1`, [id]);
+  return result.rows.length ? formatVerification(result.rows[0]) : null;
+};
+
+/**
+ * Get verification requests, optionally limited to one requester
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.requestedBy] - Requesting user
+ * @param {string} [filters.status] - pending, approved, rejected or withdrawn
+ * @param {number} [filters.storeId] - Store ID
+ * @returns {Promise<Array>} Requests, oldest first so the queue is worked in order
+ */
+const getVerifications = async ({ requestedBy, status, storeId } = {}) => {
+  let query = `${VERIFICATION_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (requestedBy) {
+    params.push(requestedBy);
+    query += ` AND v.requested_by = $${params.length}`;
+  }
+
+  if (status) {
+    params.push(status);
+    query += ` AND v.status = $${params.length}`;
+  }
+
+  if (storeId) {
+    params.push(storeId);
+    query += ` AND v.store_id = $${params.length}`;
+  }
+
+  query += " ORDER BY v.created_at, v.id";
+
+  const result = await db.query(query, params);
+  return result.rows.map(formatVerification);
+};
+
+/**
+ * Request the verified badge for a store
+ * @param {Object} requestData - storeId, requestedBy, notes and documents
+ * (already stored files as {storageKey, filename, contentType, sizeBytes})
+ * @returns {Promise<Object>} Created request
+ * @throws {Error} With statusCode when the store can't be verified
+ */
+const createVerification = async ({
+  storeId,
+  requestedBy,
+  notes,
+  documents = [],
+}) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const storeResult = await client.query(
+      "SELECT id, verified_at FROM stores WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+      [storeId]
+    );
+    if (storeResult.rows.length === 0) {
+      throw httpError(404, "Store not found");
+    }
+
+    if (storeResult.rows[0].verified_at) {
+      throw httpError(409, "This store is already verified");
+    }
+
+    const pendingResult = await client.query(
+      `SELECT id FROM store_verification_requests
+       WHERE store_id = $1 AND status = 'pending'`,
+      [storeId]
+    );
+    if (pendingResult.rows.length > 0) {
+      throw httpError(
+        409,
+        "This store already has a pending verification request"
+      );
+    }
+
+    const result = await client.query(
+      `INSERT INTO store_verification_requests (store_id, requested_by, notes)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [storeId, requestedBy, notes || null]
+    );
+    const requestId = result.rows[0].id;
+
+    for (const document of documents) {
+      await client.query(
+        `INSERT INTO store_verification_documents (request_id, storage_key, filename, content_type, size_bytes)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          requestId,
+          document.storageKey,
+          document.filename,
+          document.contentType,
+          document.sizeBytes,
+        ]
+      );
+    }
+
+    await client.query("COMMIT");
+    return getVerificationById(requestId);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Approve a pending request, the store is verified as of now
+ * @param {number} id - Verification request ID
+ * @param {number} reviewerId - Approving admin
+ * @returns {Promise<Object>} Approved request
+ * @throws {Error} With statusCode when the request can't be approved
+ */
+const approveVerification = async (id, reviewerId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const requestResult = await client.query(
+      "SELECT * FROM store_verification_requests WHERE id = $1 FOR UPDATE",
+      [id]
+    );
+    const request = requestResult.rows[0];
+
+    if (!request) {
+      throw httpError(404, "Verification request not found");
+    }
+
+    if (request.status !== "pending") {
+      throw httpError(
+        400,
+        `Verification request has already been ${request.status}`
+      );
+    }
+
+    const storeResult = await client.query(
+      "UPDATE stores SET verified_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING id",
+      [request.store_id]
+    );
+    if (storeResult.rows.length === 0) {
+      throw httpError(409, "The store has been archived");
+    }
+
+    await client.query(
+      `UPDATE store_verification_requests
+       SET status = 'approved', reviewed_by = $1, reviewed_at = NOW()
+       WHERE id = $2`,
+      [reviewerId, id]
+    );
+
+    await client.query("COMMIT");
+    return getVerificationById(id);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reject a pending request
+ * @param {number} id - Verification request ID
+ * @param {number} reviewerId - Rejecting admin
+ * @param {string} reason - Shown to the requester
+ * @returns {Promise<Object|null>} Updated request or null if not pending
+ */
+const rejectVerification = async (id, reviewerId, reason) => {
+  const result = await db.query(
+    `UPDATE store_verification_requests
+     SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = NOW()
+     WHERE id = $3 AND status = 'pending'
+     RETURNING id`,
+    [reason, reviewerId, id]
+  );
+
+  return result.rows.length ? getVerificationById(id) : null;
+};
+
+/**
+ * Withdraw a pending request (by the requester)
+ * @param {number} id - Verification request ID
+ * @returns {Promise<Object|null>} Updated request or null if not pending
+ */
+const withdrawVerification = async (id) => {
+  const result = await db.query(
+    `UPDATE store_verification_requests
+     SET status = 'withdrawn'
+     WHERE id = $1 AND status = 'pending'
+     RETURNING id`,
+    [id]
+  );
+
+  return result.rows.length ? getVerificationById(id) : null;
+};
+
+/**
+ * Take the verified badge away from a store
+ * @param {number} storeId - Store ID
+ * @returns {Promise<boolean>} False if the store wasn't verified
+ */
+const revokeVerification = async (storeId) => {
+  const result = await db.query(
+    `UPDATE stores SET verified_at = NULL
+     WHERE id = $1 AND verified_at IS NOT NULL
+     RETURNING id`,
+    [storeId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Get a document of a verification request
+ * @param {number} requestId - Verification request ID
+ * @param {number} documentId - Document ID
+ * @returns {Promise<Object|null>} Document with its storage key, or null
+ */
+const getDocument = async (requestId, documentId) => {
+  const result = await db.query(
+    `SELECT id, storage_key, filename, content_type, size_bytes
+     FROM store_verification_documents
+     WHERE id = $1 AND request_id = $2`,
+    [documentId, requestId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const d = result.rows[0];
+  return {
+    id: d.id,
+    storageKey: d.storage_key,
+    filename: d.filename,
+    contentType: d.content_type,
+    sizeBytes: d.size_bytes,
+  };
+};
+
+/**
+ * Get the storage keys of all verification documents of a store (to clean
+ * up after deleting it)
+ * @param {number} storeId - Store ID
+ * @returns {Promise<Array<string>>} Storage keys
+ */
+const getDocumentKeysByStoreId = async (storeId) => {
+  const result = await db.query(
+    `SELECT d.storage_key
+     FROM store_verification_documents d
+     JOIN store_verification_requests v ON d.request_id = v.id
+     WHERE v.store_id = $1`,
+    [storeId]
+  );
+  return result.rows.map((row) => row.storage_key);
+};
+
+module.exports = {
+  getVerificationById,
+  getVerifications,
+  createVerification,
+  approveVerification,
+  rejectVerification,
+  withdrawVerification,
+  revokeVerification,
+  getDocument,
+  getDocumentKeysByStoreId,
+};
@@ -0,0 +1,359 @@
+const express = require("express");
+const { validationResult, check } = require("express-validator");
+const lockoutModel = require("../models/lockout.model");
+const twoFactorModel = require("../models/twoFactor.model");
+const permissionModel = require("../models/permission.model");
+const storeModel = require("../models/store.model");
+const userModel = require("../models/user.model");
+const ratingModel = require("../models/rating.model");
+const { PERMISSIONS, ROLES } = require("../config/permissions");
+const { EXPORT_FORMATS, createExportWriter } = require("../utils/export");
+const {
+  storeListValidation,
+  getStoreFilters,
+} = require("../utils/storeFilters");
+const {
+  authenticateToken,
+  requirePermission,
+  clearPermissionCache,
+} = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+// All admin routes require authentication, each route checks its permission
+router.use(authenticateToken);
+
+router.param("id", requireIntParam("lockout ID"));
+
+// List accounts and IP addresses that are currently locked out
+router.get(
+  "/lockouts",
+  requirePermission("security:manage"),
+  async (req, res) => {
+    try {
+      const lockouts = await lockoutModel.getActiveLockouts();
+      res.json({ lockouts });
+    } catch (error) {
+      console.error("Get lockouts error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Lockout history (most recent first)
+router.get(
+  "/lockouts/events",
+  requirePermission("security:manage"),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      const events = await lockoutModel.getLockoutEvents(limit);
+      res.json({ events });
+    } catch (error) {
+      console.error("Get lockout events error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Clear a lockout and reset its failure counter
+router.delete(
+  "/lockouts/:id",
+  requirePermission("security:manage"),
+  async (req, res) => {
+    try {
+      const cleared = await lockoutModel.clearLockout(
+        req.params.id,
+        req.user.id
+      );
+
+      if (!cleared) {
+        return res.status(404).json({ message: "Lockout not found" });
+      }
+
+      res.json({ message: "Lockout cleared successfully", lockout: cleared });
+    } catch (error) {
+      console.error("Clear lockout error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Get which roles must use two-factor authentication
+router.get(
+  "/2fa-policies",
+  requirePermission("security:manage"),
+  async (req, res) => {
+    try {
+      const policies = await twoFactorModel.getPolicies();
+      res.json({ policies });
+    } catch (error) {
+      console.error("Get 2FA policies error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Require (or stop requiring) two-factor authentication for a role
+router.put(
+  "/2fa-policies/:role",
+  requirePermission("security:manage"),
+  [
+    check("role")
+      .isIn(["user", "admin", "store_owner"])
+      .withMessage("Invalid role"),
+    check("required").isBoolean().withMessage("required must be a boolean"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const policy = await twoFactorModel.setPolicy(
+        req.params.role,
+        req.body.required === true || req.body.required === "true",
+        req.user.id
+      );
+
+      res.json({ message: "Two-factor policy updated", policy });
+    } catch (error) {
+      console.error("Update 2FA policy error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Get the permission catalog and the current role to permission mapping
+router.get(
+  "/permissions",
+  requirePermission("permissions:manage"),
+  async (req, res) => {
+    try {
+      const mapping = await permissionModel.getRolePermissionMap();
+
+      res.json({
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+          name,
+          description,
+        })),
+        roles: ROLES.reduce((roles, role) => {
+          roles[role] = mapping[role] || [];
+          return roles;
+        }, {}),
+      });
+    } catch (error) {
+      console.error("Get permissions error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Replace the permissions granted to a role
+router.put(
+  "/roles/:role/permissions",
+  requirePermission("permissions:manage"),
+  [
+    check("role").isIn(ROLES).withMessage("Invalid role"),
+    check("permissions")
+      .isArray()
+      .withMessage("permissions must be an array of permission names"),
+    check("permissions.*")
+      .isIn(Object.keys(PERMISSIONS))
+      .withMessage("Unknown permission"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { role } = req.params;
+      const permissions = [...new Set(req.body.permissions)];
+
+      // Don't let admins lock everyone out of the permission editor
+      if (role === "admin" && !permissions.includes("permissions:manage")) {
+        return res.status(400).json({
+          message: "The admin role must keep the permissions:manage permission",
+        });
+      }
+
+      await permissionModel.setRolePermissions(role, permissions);
+      clearPermissionCache();
+
+      res.json({
+        message: "Role permissions updated successfully",
+        role,
+        permissions,
+      });
+    } catch (error) {
+      console.error("Update role permissions error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Columns of the CSV exports (NDJSON rows have the same fields)
+const STORE_EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "email",
+  "address",
+  "street",
+  "city",
+  "region",
+  "postalCode",
+  "country",
+  "latitude",
+  "longitude",
+  "timeZone",
+  "ownerId",
+  "ownerName",
+  "ownerEmail",
+  "brandId",
+  "categoryIds",
+  "tags",
+  "openingHours",
+  "holidayExceptions",
+  "averageRating",
+  "totalRatings",
+  "verifiedAt",
+  "createdAt",
+  "updatedAt",
+];
+const USER_EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "email",
+  "address",
+  "street",
+  "city",
+  "region",
+  "postalCode",
+  "country",
+  "role",
+  "emailVerifiedAt",
+  "twoFactorEnabled",
+  "storeIds",
+  "createdAt",
+  "updatedAt",
+];
+const RATING_EXPORT_COLUMNS = [
+  "id",
+  "storeId",
+  "storeName",
+  "userId",
+  "userName",
+  "userEmail",
+  "rating",
+  "comment",
+  "createdAt",
+  "updatedAt",
+];
+
+const exportFormatValidation = check("format")
+  .optional()
+  .isIn(EXPORT_FORMATS)
+  .withMessage(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+
+// Stream an export as ?format=csv (default) or ndjson. runExport(onBatch)
+// reads the rows from the database and passes them on batch by batch.
+const streamExport = async (req, res, { name, columns, runExport }) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const writer = createExportWriter(res, {
+    name,
+    format: req.query.format || "csv",
+    columns,
+  });
+
+  try {
+    await runExport((rows) => writer.writeRows(rows));
+    writer.end();
+  } catch (error) {
+    console.error(`Export ${name} error:`, error);
+
+    // Once the download has started the error can't be reported in it
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.removeHeader("Content-Disposition");
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Export stores with their rating aggregates. Takes the filters of
+// GET /api/stores (category, tag, city, region, near/radius, openNow,
+// verified, brandId)
+router.get(
+  "/export/stores",
+  requirePermission("data:export"),
+  exportFormatValidation,
+  storeListValidation,
+  (req, res) =>
+    streamExport(req, res, {
+      name: "stores",
+      columns: STORE_EXPORT_COLUMNS,
+      runExport: (onBatch) =>
+        storeModel.exportStores(getStoreFilters(req.query), onBatch),
+    })
+);
+
+// Export users without passwords or two-factor secrets. Takes the filters
+// of the user list (name, email and address contain the text, role)
+router.get(
+  "/export/users",
+  requirePermission("data:export"),
+  exportFormatValidation,
+  check("role")
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`role must be one of ${ROLES.join(", ")}`),
+  (req, res) =>
+    streamExport(req, res, {
+      name: "users",
+      columns: USER_EXPORT_COLUMNS,
+      runExport: (onBatch) =>
+        userModel.exportUsers(
+          {
+            name: req.query.name,
+            email: req.query.email,
+            address: req.query.address,
+            role: req.query.role,
+          },
+          onBatch
+        ),
+    })
+);
+
+// Export ratings, optionally of one store (?storeId=) or user (?userId=)
+router.get(
+  "/export/ratings",
+  requirePermission("data:export"),
+  exportFormatValidation,
+  check(["storeId", "userId"])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("storeId and userId must be IDs"),
+  (req, res) =>
+    streamExport(req, res, {
+      name: "ratings",
+      columns: RATING_EXPORT_COLUMNS,
+      runExport: (onBatch) =>
+        ratingModel.exportRatings(
+          { storeId: req.query.storeId, userId: req.query.userId },
+          onBatch
+        ),
+    })
+);
+
+module.exports = router;
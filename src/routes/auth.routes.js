@@ -2,10 +2,68 @@ const express = require("express");
 const bcrypt = require("bcrypt");
 const { validationResult, check } = require("express-validator");
 const userModel = require("../models/user.model");
-const { generateToken, authenticateToken } = require("../middleware/auth");
+const {
+  pickAddressInput,
+  toAddressParts,
+  validateAddressInput,
+} = require("../utils/address");
+const tokenModel = require("../models/token.model");
+const twoFactorModel = require("../models/twoFactor.model");
+const mailer = require("../utils/mailer");
+const { sendVerificationEmail } = require("../utils/verificationEmail");
+const totp = require("../utils/totp");
+const {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  authenticateToken,
+  getRolePermissions,
+} = require("../middleware/auth");
+const {
+  REFRESH_COOKIE,
+  setAuthCookies,
+  clearAuthCookies,
+  csrfProtection,
+} = require("../middleware/cookies");
+const {
+  loginThrottle,
+  resetAccountAttempts,
+} = require("../middleware/loginThrottle");
 
 const router = express.Router();
 
+// Base URL of the frontend, used to build links sent by email
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Start a session for a user who passed every login step and send the
+// login response (user row as returned by userModel.getUserByEmail)
+const completeLogin = async (res, user, extra = {}) => {
+  const tokens = await issueTokens(user.id);
+  const { token, refreshToken, refreshTokenExpiresAt } = tokens;
+
+  // Browser clients use the HttpOnly cookies instead of the returned tokens
+  const csrfToken = setAuthCookies(res, tokens);
+
+  res.json({
+    message: "Login successful",
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: !!user.email_verified_at,
+      twoFactorEnabled: !!user.totp_enabled_at,
+      ...userModel.formatOwnedStores(user),
+    },
+    token,
+    refreshToken,
+    refreshTokenExpiresAt,
+    csrfToken,
+    ...extra,
+  });
+};
+
 // Validation rules
 const registerValidation = [
   check("name").notEmpty().withMessage("Name is required"),
@@ -38,9 +96,14 @@ router.post("/register", registerValidation, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    let { name, email, password, address } = req.body;
+    let { name, email, password } = req.body;
     email = email.toLowerCase();
 
+    const addressError = validateAddressInput(req.body);
+    if (addressError) {
+      return res.status(400).json({ message: addressError });
+    }
+
     // Check if email is already in use
     const emailExists = await userModel.isEmailInUse(email);
     if (emailExists) {
@@ -52,22 +115,37 @@ router.post("/register", registerValidation, async (req, res) => {
       name,
       email,
       password,
-      address,
+      ...pickAddressInput(req.body),
       role: "user",
     });
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Ask the user to confirm they own the address. The account exists at
+    // this point, a failed send is logged and the link can be requested
+    // again with resend-verification.
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Verification email error:", error);
+    }
+
+    // Start a session for the new user
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueTokens(
+      user.id
+    );
 
     res.status(201).json({
-      message: "User registered successfully",
+      message:
+        "User registered successfully. Please check your email to verify your account",
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: false,
       },
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -76,7 +154,7 @@ router.post("/register", registerValidation, async (req, res) => {
 });
 
 // User login
-router.post("/login", loginValidation, async (req, res) => {
+router.post("/login", loginValidation, loginThrottle, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -90,36 +168,576 @@ router.post("/login", loginValidation, async (req, res) => {
     // Check if user exists
     const user = await userModel.getUserByEmail(email);
     if (!user) {
+      await req.loginThrottle.fail();
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await req.loginThrottle.fail(user.id);
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Second step: ask for an authenticator code. The account's failure
+    // counter is only reset once the second factor passed as well.
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.id, "2fa"),
+      });
+    }
+
+    // The user's role requires 2FA but they haven't enrolled yet
+    if (await twoFactorModel.isRequiredForRole(user.role)) {
+      return res.json({
+        message: "Two-factor authentication must be set up to continue",
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user.id, "2fa-setup"),
+      });
+    }
+
+    // Successful login resets the account's failure counter
+    await req.loginThrottle.succeed();
+
+    await completeLogin(res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Resolve the challenge of login step two before it is throttled, so failed
+// codes count against the account the challenge belongs to. Each challenge
+// can only be used once: a wrong code means logging in with the password again.
+const loadLoginChallenge = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        message: "Authentication code or recovery code is required",
+      });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken, "2fa");
+    if (
+      !challenge ||
+      !(await tokenModel.consumeLoginChallenge(
+        challenge.jti,
+        challenge.expiresAt
+      ))
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired login challenge" });
+    }
+
+    const state = await twoFactorModel.getTwoFactorState(challenge.userId);
+    if (!state || !state.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    req.twoFactorState = state;
+    req.loginEmail = state.email;
+    next();
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Login step two: verify an authenticator or recovery code
+router.post(
+  "/login/2fa",
+  [
+    check("challengeToken")
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+  ],
+  loadLoginChallenge,
+  loginThrottle,
+  async (req, res) => {
+    try {
+      const { code, recoveryCode } = req.body;
+      const state = req.twoFactorState;
+
+      let isValid = false;
+      if (code) {
+        const step = totp.verifyTotp(state.secret, code);
+        isValid =
+          step !== null && (await twoFactorModel.markStepUsed(state.id, step));
+      } else {
+        isValid = await twoFactorModel.consumeRecoveryCode(
+          state.id,
+          recoveryCode
+        );
+      }
+
+      if (!isValid) {
+        await req.loginThrottle.fail(state.id);
+        return res.status(401).json({ message: "Invalid authentication code" });
+      }
+
+      // Both factors passed: reset the account's failure counter
+      await req.loginThrottle.succeed();
+
+      const user = await userModel.getUserByEmail(state.email);
+      await completeLogin(res, user, {
+        recoveryCodesLeft: recoveryCode
+          ? state.recoveryCodesLeft - 1
+          : state.recoveryCodesLeft,
+      });
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Read the refresh token from the body (Bearer clients) or the session cookie.
+// Cookie-based requests must pass the CSRF check.
+const getRefreshToken = (req, res, next) => {
+  if (req.body && req.body.refreshToken) {
+    req.refreshToken = req.body.refreshToken;
+    return next();
+  }
+
+  if (req.cookies && req.cookies[REFRESH_COOKIE]) {
+    req.refreshToken = req.cookies[REFRESH_COOKIE];
+    req.refreshFromCookie = true;
+    return csrfProtection(req, res, next);
+  }
+
+  return res.status(400).json({ message: "Refresh token is required" });
+};
+
+// Exchange a refresh token for a new access token (rotates the refresh token)
+router.post("/refresh", getRefreshToken, async (req, res) => {
+  try {
+    const result = await tokenModel.rotateRefreshToken(req.refreshToken);
+
+    if (!result) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired refresh token" });
+    }
+
+    if (result.reused) {
+      console.log(
+        `Refresh token reuse detected for user ${result.userId}, session ${result.familyId} revoked`
+      );
+      if (req.refreshFromCookie) {
+        clearAuthCookies(res);
+      }
+      return res
+        .status(401)
+        .json({ message: "Refresh token has already been used" });
+    }
+
+    const tokens = {
+      token: generateToken(result.userId, result.familyId),
+      refreshToken: result.refreshToken,
+      refreshTokenExpiresAt: result.expiresAt,
+    };
+
+    if (req.refreshFromCookie) {
+      const csrfToken = setAuthCookies(res, tokens);
+      return res.json({
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+        csrfToken,
+      });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Logout (revokes the session the refresh token belongs to)
+router.post("/logout", getRefreshToken, async (req, res) => {
+  try {
+    await tokenModel.revokeRefreshTokenFamily(req.refreshToken);
+    clearAuthCookies(res);
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Confirm an email address using the token from the verification email
+router.get("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const userId = await userModel.verifyEmailWithToken(token);
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification token" });
+    }
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Send a new verification email to the current user
+router.post("/resend-verification", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Request a password reset email
+router.post(
+  "/forgot-password",
+  [check("email").isEmail().withMessage("Valid email is required")],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const email = req.body.email.toLowerCase();
+      const user = await userModel.getUserByEmail(email);
+
+      // Only send mail if the account exists, but always respond the same way
+      // so the endpoint can't be used to discover registered addresses (a
+      // failed send is logged, not reported)
+      if (user) {
+        try {
+          const { token, expiresAt } =
+            await tokenModel.createPasswordResetToken(user.id);
+          const resetLink = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(
+            token
+          )}`;
+
+          await mailer.sendMail({
+            to: user.email,
+            subject: "Reset your password",
+            text:
+              `Hello ${user.name},\n\n` +
+              `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+              `${resetLink}\n\n` +
+              `This link expires at ${expiresAt.toISOString()} and can only be used once. ` +
+              `If you did not request a reset, you can ignore this email.`,
+          });
+        } catch (error) {
+          console.error("Password reset email error:", error);
+        }
+      }
+
+      res.json({
+        message:
+          "If an account exists for that email, a password reset link has been sent",
+      });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Reset password using the token from the reset email
+router.post(
+  "/reset-password",
+  [
+    check("token").notEmpty().withMessage("Reset token is required"),
+    check("password")
+      .isLength({ min: 8 })
+      .withMessage("Password must be at least 8 characters long")
+      .matches(/[a-z]/)
+      .withMessage("Password must contain at least one lowercase letter")
+      .matches(/[A-Z]/)
+      .withMessage("Password must contain at least one uppercase letter")
+      .matches(/[0-9]/)
+      .withMessage("Password must contain at least one number")
+      .matches(/[^A-Za-z0-9]/)
+      .withMessage("Password must contain at least one special character"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password } = req.body;
+
+      const userId = await userModel.resetPasswordWithToken(token, password);
+      if (!userId) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired reset token" });
+      }
+
+      res.json({ message: "Password has been reset successfully" });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Authenticate 2FA enrollment requests either with a normal session or with
+// the "2fa-setup" challenge token issued when a role requires 2FA at login
+const authenticateTwoFactorSetup = (req, res, next) => {
+  if (req.body && req.body.challengeToken) {
+    const challenge = verifyChallengeToken(
+      req.body.challengeToken,
+      "2fa-setup"
+    );
+    if (!challenge) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired login challenge" });
+    }
+
+    req.user = { id: challenge.userId };
+    req.twoFactorSetup = challenge;
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+};
+
+// Get the current user's two-factor status
+router.get("/2fa", authenticateToken, async (req, res) => {
+  try {
+    const state = await twoFactorModel.getTwoFactorState(req.user.id);
 
     res.json({
-      message: "Login successful",
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        storeId: user.store_id,
-        storeName: user.store_name,
-      },
-      token,
+      enabled: state.enabled,
+      enabledAt: state.enabledAt,
+      recoveryCodesLeft: state.recoveryCodesLeft,
+      required: await twoFactorModel.isRequiredForRole(state.role),
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Get two-factor status error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
+// Start 2FA enrollment: generate a secret and otpauth URI for the QR code
+router.post("/2fa/setup", authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const state = await twoFactorModel.getTwoFactorState(req.user.id);
+
+    if (state.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = totp.generateSecret();
+    await twoFactorModel.setPendingSecret(state.id, secret);
+
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, accountName: state.email }),
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Finish 2FA enrollment by confirming a code from the authenticator app
+router.post(
+  "/2fa/confirm",
+  authenticateTwoFactorSetup,
+  [check("code").notEmpty().withMessage("Authentication code is required")],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const state = await twoFactorModel.getTwoFactorState(req.user.id);
+
+      if (state.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+
+      if (!state.pendingSecret) {
+        return res
+          .status(400)
+          .json({ message: "Start two-factor setup first" });
+      }
+
+      const step = totp.verifyTotp(state.pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ message: "Invalid authentication code" });
+      }
+
+      // The setup challenge serves /2fa/setup and this request, enrollment
+      // uses it up
+      if (
+        req.twoFactorSetup &&
+        !(await tokenModel.consumeLoginChallenge(
+          req.twoFactorSetup.jti,
+          req.twoFactorSetup.expiresAt
+        ))
+      ) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired login challenge" });
+      }
+
+      const recoveryCodes = await twoFactorModel.enableTwoFactor(
+        state.id,
+        step
+      );
+
+      // Enrollment forced at login: finish the login now (both factors
+      // passed, so the account's failure counter is reset)
+      if (req.twoFactorSetup) {
+        await resetAccountAttempts(state.email);
+        const user = await userModel.getUserByEmail(state.email);
+        return completeLogin(res, user, { recoveryCodes });
+      }
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recoveryCodes,
+      });
+    } catch (error) {
+      console.error("Two-factor confirm error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Generate a new set of recovery codes (requires a current code)
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  [check("code").notEmpty().withMessage("Authentication code is required")],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const state = await twoFactorModel.getTwoFactorState(req.user.id);
+      if (!state.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      const step = totp.verifyTotp(state.secret, req.body.code);
+      if (
+        step === null ||
+        !(await twoFactorModel.markStepUsed(state.id, step))
+      ) {
+        return res.status(401).json({ message: "Invalid authentication code" });
+      }
+
+      const recoveryCodes = await twoFactorModel.regenerateRecoveryCodes(
+        state.id
+      );
+
+      res.json({ message: "Recovery codes regenerated", recoveryCodes });
+    } catch (error) {
+      console.error("Regenerate recovery codes error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Turn off 2FA (requires password and a current code, not allowed if the
+// user's role requires 2FA)
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  [
+    check("password").notEmpty().withMessage("Password is required"),
+    check("code").notEmpty().withMessage("Authentication code is required"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const state = await twoFactorModel.getTwoFactorState(req.user.id);
+      if (!state.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      if (await twoFactorModel.isRequiredForRole(state.role)) {
+        return res.status(403).json({
+          message: "Two-factor authentication is required for your role",
+        });
+      }
+
+      const isPasswordValid = await userModel.verifyPassword(
+        state.id,
+        req.body.password
+      );
+      const step = totp.verifyTotp(state.secret, req.body.code);
+      if (
+        !isPasswordValid ||
+        step === null ||
+        !(await twoFactorModel.markStepUsed(state.id, step))
+      ) {
+        return res
+          .status(401)
+          .json({ message: "Invalid password or authentication code" });
+      }
+
+      await twoFactorModel.disableTwoFactor(state.id);
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("Two-factor disable error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
 // Get current user profile
 router.get("/me", authenticateToken, async (req, res) => {
   try {
@@ -135,9 +753,11 @@ router.get("/me", authenticateToken, async (req, res) => {
         name: user.name,
         email: user.email,
         address: user.address,
+        ...toAddressParts(user),
         role: user.role,
-        storeId: user.store_id,
-        storeName: user.store_name,
+        emailVerified: !!user.email_verified_at,
+        ...userModel.formatOwnedStores(user),
+        permissions: await getRolePermissions(user.role),
       },
     });
   } catch (error) {
@@ -214,9 +834,14 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      let { name, email, address } = req.body;
+      let { name, email } = req.body;
       email = email.toLowerCase();
 
+      const addressError = validateAddressInput(req.body);
+      if (addressError) {
+        return res.status(400).json({ message: addressError });
+      }
+
       // Check if email is already in use by another user
       if (email !== req.user.email) {
         const emailExists = await userModel.isEmailInUse(email, req.user.id);
@@ -225,15 +850,26 @@ router.put(
         }
       }
 
-      // Update user
+      // Update user (a new email is unverified until confirmed)
       const updatedUser = await userModel.updateUser(req.user.id, {
         name,
         email,
-        address,
+        ...pickAddressInput(req.body),
       });
 
+      const emailChanged = email !== req.user.email;
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(updatedUser);
+        } catch (error) {
+          console.error("Verification email error:", error);
+        }
+      }
+
       res.json({
-        message: "Profile updated successfully",
+        message: emailChanged
+          ? "Profile updated successfully. Please check your email to verify your new address"
+          : "Profile updated successfully",
         user: updatedUser,
       });
     } catch (error) {
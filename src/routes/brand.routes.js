@@ -0,0 +1,334 @@
+const express = require("express");
+const { validationResult, check } = require("express-validator");
+const brandModel = require("../models/brand.model");
+const userModel = require("../models/user.model");
+const {
+  authenticateToken,
+  requirePermission,
+  getRolePermissions,
+} = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+router.param("id", requireIntParam("brand ID"));
+router.param("storeId", requireIntParam("store ID"));
+
+// Validation rules
+const brandValidation = [
+  check("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Brand name is required")
+    .isLength({ max: 60 })
+    .withMessage("Brand name must be at most 60 characters"),
+  check("description")
+    .optional({ nullable: true })
+    .isLength({ max: 400 })
+    .withMessage("Description must be at most 400 characters"),
+  check("website")
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Website must be an http(s) URL")
+    .isLength({ max: 255 })
+    .withMessage("Website must be at most 255 characters"),
+];
+
+const ownerValidation = check("ownerId")
+  .optional({ nullable: true })
+  .isInt({ min: 1 })
+  .withMessage("ownerId must be a user ID");
+
+// Answer with an error if the user can't own a brand (brand owners manage
+// the branches through the store owner permissions)
+const rejectInvalidOwner = async (ownerId, res) => {
+  if (ownerId === undefined || ownerId === null) {
+    return false;
+  }
+
+  const owner = await userModel.getUserById(ownerId);
+  if (!owner) {
+    res.status(400).json({ message: "Owner not found" });
+    return true;
+  }
+
+  if (owner.role !== "store_owner") {
+    res.status(400).json({ message: "The brand owner must be a store owner" });
+    return true;
+  }
+
+  return false;
+};
+
+// Get all brands with their branch counts and rating aggregates
+// (?ownerId= lists the brands of one owner)
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const brands = await brandModel.getAllBrands({
+      ownerId: parseInt(req.query.ownerId, 10) || undefined,
+    });
+    res.json({ brands });
+  } catch (error) {
+    console.error("Get brands error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Brand page: the brand with its ratings aggregated over all branches and a
+// per-branch comparison (ranked by average rating). The branches themselves
+// are listed with GET /api/stores?brandId=
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const brand = await brandModel.getBrandById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({ message: "Brand not found" });
+    }
+
+    const branches = await brandModel.getBranchComparison(
+      brand.id,
+      brand.averageRating
+    );
+
+    res.json({ brand, branches });
+  } catch (error) {
+    console.error("Get brand error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Create a brand, optionally with its owner (admin only)
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("brands:manage"),
+  [...brandValidation, ownerValidation],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, website, ownerId } = req.body;
+
+      if (await brandModel.isNameInUse(name)) {
+        return res.status(400).json({ message: "Brand already exists" });
+      }
+
+      if (await rejectInvalidOwner(ownerId, res)) {
+        return;
+      }
+
+      const brand = await brandModel.createBrand({
+        name,
+        description,
+        website,
+        ownerId: ownerId && parseInt(ownerId, 10),
+      });
+
+      res.status(201).json({
+        message: "Brand created successfully",
+        brand,
+      });
+    } catch (error) {
+      console.error("Create brand error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Update a brand (any brand with brands:update, own brands with
+// brands:update:own)
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("brands:update"),
+  brandValidation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { name, description, website } = req.body;
+
+      if (req.body.ownerId !== undefined) {
+        return res.status(400).json({
+          message:
+            "The owner can't be changed here. An admin assigns it with PUT /api/brands/:id/owner",
+        });
+      }
+
+      const existingBrand = await brandModel.getBrandById(id);
+      if (!existingBrand) {
+        return res.status(404).json({ message: "Brand not found" });
+      }
+
+      if (await brandModel.isNameInUse(name, id)) {
+        return res.status(400).json({ message: "Brand already exists" });
+      }
+
+      const brand = await brandModel.updateBrand(id, {
+        name,
+        description,
+        website,
+      });
+
+      res.json({
+        message: "Brand updated successfully",
+        brand,
+      });
+    } catch (error) {
+      console.error("Update brand error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Assign the brand owner, who can edit all branches of the brand and reply
+// to their ratings (transfers stay with each store's owner); null removes
+// them (admin only)
+router.put(
+  "/:id/owner",
+  authenticateToken,
+  requirePermission("brands:manage"),
+  [
+    check("ownerId")
+      .exists()
+      .withMessage("ownerId is required (null removes the owner)"),
+    ownerValidation,
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { ownerId } = req.body;
+
+      if (await rejectInvalidOwner(ownerId, res)) {
+        return;
+      }
+
+      const brand = await brandModel.setBrandOwner(
+        req.params.id,
+        ownerId === null ? null : parseInt(ownerId, 10)
+      );
+
+      if (!brand) {
+        return res.status(404).json({ message: "Brand not found" });
+      }
+
+      res.json({ message: "Brand owner updated successfully", brand });
+    } catch (error) {
+      console.error("Set brand owner error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Delete a brand, its branches stay as independent stores (admin only)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("brands:manage"),
+  async (req, res) => {
+    try {
+      const deleted = await brandModel.deleteBrand(req.params.id, {
+        actorId: req.user.id,
+      });
+
+      if (!deleted) {
+        return res.status(404).json({ message: "Brand not found" });
+      }
+
+      res.json({ message: "Brand deleted successfully" });
+    } catch (error) {
+      console.error("Delete brand error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Add a store to a brand as a branch (any store with brands:update; with
+// brands:update:own only stores the brand owner owns themselves)
+router.post(
+  "/:id/branches",
+  authenticateToken,
+  requirePermission("brands:update"),
+  [
+    check("storeId")
+      .isInt({ min: 1 })
+      .withMessage("storeId must be a store ID"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const brand = await brandModel.getBrandById(req.params.id);
+      if (!brand) {
+        return res.status(404).json({ message: "Brand not found" });
+      }
+
+      const permissions = await getRolePermissions(req.user.role);
+      await brandModel.addBranch(brand.id, parseInt(req.body.storeId, 10), {
+        ownerId: permissions.includes("brands:update")
+          ? undefined
+          : req.user.id,
+        actorId: req.user.id,
+      });
+
+      res.status(201).json({
+        message: "Branch added successfully",
+        brand: await brandModel.getBrandById(brand.id),
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Add branch error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Remove a branch from a brand, the store stays with its own owner
+// (any brand with brands:update, own brands with brands:update:own)
+router.delete(
+  "/:id/branches/:storeId",
+  authenticateToken,
+  requirePermission("brands:update"),
+  async (req, res) => {
+    try {
+      const removed = await brandModel.removeBranch(
+        req.params.id,
+        req.params.storeId,
+        { actorId: req.user.id }
+      );
+
+      if (!removed) {
+        return res
+          .status(404)
+          .json({ message: "The store isn't a branch of this brand" });
+      }
+
+      res.json({ message: "Branch removed successfully" });
+    } catch (error) {
+      console.error("Remove branch error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
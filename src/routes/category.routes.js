@@ -0,0 +1,151 @@
+const express = require("express");
+const { validationResult, check } = require("express-validator");
+const categoryModel = require("../models/category.model");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+router.param("id", requireIntParam("category ID"));
+
+// Validation rules
+const categoryValidation = [
+  check("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Category name is required")
+    .isLength({ max: 60 })
+    .withMessage("Category name must be at most 60 characters"),
+  check("description")
+    .optional({ nullable: true })
+    .isLength({ max: 400 })
+    .withMessage("Description must be at most 400 characters"),
+];
+
+// Get all categories (with store counts)
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const categories = await categoryModel.getAllCategories();
+    res.json({ categories });
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get a category
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const category = await categoryModel.getCategoryById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    res.json({ category });
+  } catch (error) {
+    console.error("Get category error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Create a category (admin only)
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("categories:manage"),
+  categoryValidation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description } = req.body;
+
+      if (await categoryModel.isNameInUse(name)) {
+        return res.status(400).json({ message: "Category already exists" });
+      }
+
+      const category = await categoryModel.createCategory({
+        name,
+        description,
+      });
+
+      res.status(201).json({
+        message: "Category created successfully",
+        category,
+      });
+    } catch (error) {
+      console.error("Create category error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Update a category (admin only)
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("categories:manage"),
+  categoryValidation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { name, description } = req.body;
+
+      const existingCategory = await categoryModel.getCategoryById(id);
+      if (!existingCategory) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      if (await categoryModel.isNameInUse(name, id)) {
+        return res.status(400).json({ message: "Category already exists" });
+      }
+
+      const category = await categoryModel.updateCategory(id, {
+        name,
+        description,
+      });
+
+      res.json({
+        message: "Category updated successfully",
+        category,
+      });
+    } catch (error) {
+      console.error("Update category error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Delete a category (admin only)
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("categories:manage"),
+  async (req, res) => {
+    try {
+      const deleted = await categoryModel.deleteCategory(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      res.json({ message: "Category deleted successfully" });
+    } catch (error) {
+      console.error("Delete category error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require("express");
+const { validationResult, check } = require("express-validator");
+const claimModel = require("../models/claim.model");
+const {
+  authenticateToken,
+  requirePermission,
+  getRolePermissions,
+} = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+// Claims are submitted with POST /api/stores/:id/claims, these routes
+// are the admin review queue and let claimants follow up on theirs
+router.use(authenticateToken);
+
+router.param("id", requireIntParam("claim ID"));
+
+// Whether the user reviews claims (admins)
+const canReviewClaims = async (user) =>
+  (await getRolePermissions(user.role)).includes("claims:review");
+
+// List claims: reviewers see all of them (the queue is ?status=pending),
+// everyone else only their own. Optional ?status= and ?storeId= filters
+router.get("/", async (req, res) => {
+  try {
+    const { status, storeId } = req.query;
+    const userId = (await canReviewClaims(req.user)) ? undefined : req.user.id;
+
+    const claims = await claimModel.getClaims({ userId, status, storeId });
+    res.json({ claims });
+  } catch (error) {
+    console.error("Get claims error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get a claim
+router.get("/:id", async (req, res) => {
+  try {
+    const claim = await claimModel.getClaimById(req.params.id);
+
+    if (
+      !claim ||
+      (claim.userId !== req.user.id && !(await canReviewClaims(req.user)))
+    ) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    res.json({ claim });
+  } catch (error) {
+    console.error("Get claim error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Approve a claim, the claimant becomes the store's owner immediately
+router.post(
+  "/:id/approve",
+  requirePermission("claims:review"),
+  async (req, res) => {
+    try {
+      const claim = await claimModel.approveClaim(
+        parseInt(req.params.id, 10),
+        req.user.id
+      );
+
+      res.json({ message: "Claim approved", claim });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Approve claim error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Reject a claim, the reason is shown to the claimant
+router.post(
+  "/:id/reject",
+  requirePermission("claims:review"),
+  [
+    check("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("A rejection reason is required")
+      .isLength({ max: 1000 })
+      .withMessage("Reason must be at most 1000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const claim = await claimModel.getClaimById(req.params.id);
+      if (!claim) {
+        return res.status(404).json({ message: "Claim not found" });
+      }
+
+      const rejected = await claimModel.rejectClaim(
+        claim.id,
+        req.user.id,
+        req.body.reason
+      );
+      if (!rejected) {
+        return res
+          .status(400)
+          .json({ message: `Claim has already been ${claim.status}` });
+      }
+
+      res.json({ message: "Claim rejected", claim: rejected });
+    } catch (error) {
+      console.error("Reject claim error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Withdraw a claim (claimant only)
+router.post("/:id/withdraw", async (req, res) => {
+  try {
+    const claim = await claimModel.getClaimById(req.params.id);
+
+    if (!claim || claim.userId !== req.user.id) {
+      return res.status(404).json({ message: "Claim not found" });
+    }
+
+    const withdrawn = await claimModel.withdrawClaim(claim.id);
+    if (!withdrawn) {
+      return res
+        .status(400)
+        .json({ message: `Claim has already been ${claim.status}` });
+    }
+
+    res.json({ message: "Claim withdrawn", claim: withdrawn });
+  } catch (error) {
+    console.error("Withdraw claim error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
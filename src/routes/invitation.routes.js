@@ -0,0 +1,264 @@
+const express = require("express");
+const { validationResult, check } = require("express-validator");
+const invitationModel = require("../models/invitation.model");
+const storeModel = require("../models/store.model");
+const userModel = require("../models/user.model");
+const mailer = require("../utils/mailer");
+const { pickAddressInput, validateAddressInput } = require("../utils/address");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+// Base URL of the frontend, used to build links sent by email
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Email the one-time invitation link
+const sendInvitationEmail = async (invitation, token) => {
+  const acceptLink = `${FRONTEND_URL}/accept-invitation?token=${encodeURIComponent(
+    token
+  )}`;
+
+  await mailer.sendMail({
+    to: invitation.email,
+    subject: `You're invited to manage ${invitation.storeName}`,
+    text:
+      `Hello,\n\n` +
+      `You have been invited to manage ${invitation.storeName} on Store Rating. ` +
+      `Open the link below to set your password and accept the invitation:\n\n` +
+      `${acceptLink}\n\n` +
+      `This link expires at ${new Date(
+        invitation.expiresAt
+      ).toISOString()} and can only be used once.`,
+  });
+};
+
+// Validation for accounts created when accepting an invitation (same name
+// and address rules as registration)
+const newAccountValidation = [
+  check("name")
+    .isLength({ min: 20, max: 60 })
+    .withMessage("Name must be between 20 and 60 characters"),
+  check("password")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long")
+    .matches(/[a-z]/)
+    .withMessage("Password must contain at least one lowercase letter")
+    .matches(/[A-Z]/)
+    .withMessage("Password must contain at least one uppercase letter")
+    .matches(/[0-9]/)
+    .withMessage("Password must contain at least one number")
+    .matches(/[^A-Za-z0-9]/)
+    .withMessage("Password must contain at least one special character"),
+];
+
+// Look up an invitation by its link token (public, used to render the accept page)
+router.get("/accept", async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return res.status(400).json({ message: "Invitation token is required" });
+    }
+
+    const invitation = await invitationModel.getInvitationByToken(token);
+    if (!invitation || invitation.status !== "pending") {
+      return res.status(400).json({ message: "Invalid or expired invitation" });
+    }
+
+    res.json({
+      invitation: {
+        storeName: invitation.storeName,
+        email: invitation.email,
+        expiresAt: invitation.expiresAt,
+        accountExists: await userModel.isEmailInUse(invitation.email),
+      },
+    });
+  } catch (error) {
+    console.error("Get invitation error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Accept an invitation (public). New invitees choose a name and password;
+// if the email already has an account, its current password is required.
+router.post(
+  "/accept",
+  [
+    check("token").notEmpty().withMessage("Invitation token is required"),
+    check("password").notEmpty().withMessage("Password is required"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      let errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, name, password } = req.body;
+
+      const invitation = await invitationModel.getInvitationByToken(token);
+      if (!invitation || invitation.status !== "pending") {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired invitation" });
+      }
+
+      // Only new accounts have to meet the name and password rules
+      if (!(await userModel.isEmailInUse(invitation.email))) {
+        await Promise.all(
+          newAccountValidation.map((validation) => validation.run(req))
+        );
+        errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const addressError = validateAddressInput(req.body);
+        if (addressError) {
+          return res.status(400).json({ message: addressError });
+        }
+      }
+
+      const { user, storeId } = await invitationModel.acceptInvitation(token, {
+        name,
+        password,
+        ...pickAddressInput(req.body),
+      });
+
+      res.json({
+        message: "Invitation accepted. You can now log in as the store owner",
+        user,
+        storeId,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Accept invitation error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Everything below is for admins managing invitations
+router.use(authenticateToken, requirePermission("invitations:manage"));
+
+router.param("id", requireIntParam("invitation ID"));
+
+// List invitations (optional ?status= and ?storeId= filters)
+router.get("/", async (req, res) => {
+  try {
+    const { status, storeId } = req.query;
+    const invitations = await invitationModel.getInvitations({
+      status,
+      storeId,
+    });
+    res.json({ invitations });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Invite a store owner for a store
+router.post(
+  "/",
+  [
+    check("storeId").isInt().withMessage("Valid store ID is required"),
+    check("email").isEmail().withMessage("Valid email is required"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const storeId = parseInt(req.body.storeId, 10);
+      const email = req.body.email.toLowerCase();
+
+      const store = await storeModel.getStoreById(storeId);
+      if (!store) {
+        return res.status(404).json({ message: "Store not found" });
+      }
+
+      if (store.owner_id) {
+        return res
+          .status(400)
+          .json({ message: "This store already has an owner" });
+      }
+
+      const pending = await invitationModel.getInvitations({
+        status: "pending",
+        storeId,
+      });
+      if (pending.length > 0) {
+        return res.status(400).json({
+          message:
+            "A pending invitation already exists for this store. Resend or revoke it instead",
+        });
+      }
+
+      const { invitation, token } = await invitationModel.createInvitation({
+        storeId,
+        email,
+        invitedBy: req.user.id,
+      });
+
+      await sendInvitationEmail(invitation, token);
+
+      res.status(201).json({
+        message: "Invitation sent successfully",
+        invitation,
+      });
+    } catch (error) {
+      console.error("Create invitation error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Resend an invitation with a new link (the old link stops working)
+router.post("/:id/resend", async (req, res) => {
+  try {
+    const renewed = await invitationModel.renewInvitation(req.params.id);
+
+    if (!renewed) {
+      return res.status(404).json({
+        message: "Invitation not found or already accepted or revoked",
+      });
+    }
+
+    await sendInvitationEmail(renewed.invitation, renewed.token);
+
+    res.json({
+      message: "Invitation resent successfully",
+      invitation: renewed.invitation,
+    });
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Revoke an invitation
+router.post("/:id/revoke", async (req, res) => {
+  try {
+    const invitation = await invitationModel.revokeInvitation(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: "Invitation not found or already accepted or revoked",
+      });
+    }
+
+    res.json({ message: "Invitation revoked successfully", invitation });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,11 @@ const express = require("express");
 const { validationResult, check } = require("express-validator");
 const storeModel = require("../models/store.model");
 const ratingModel = require("../models/rating.model");
-const { authenticateToken } = require("../middleware/auth");
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -10,6 +14,8 @@ const router = express.Router();
 router.post(
   "/",
   authenticateToken,
+  requireVerifiedEmail,
+  requirePermission("ratings:create"),
   [
     check("storeId").not().isEmpty().withMessage("Store ID is required"),
     check("rating")
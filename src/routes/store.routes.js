@@ -1,65 +1,1180 @@
+const crypto = require("crypto");
 const express = require("express");
+const multer = require("multer");
 const { validationResult, check } = require("express-validator");
 const storeModel = require("../models/store.model");
 const ratingModel = require("../models/rating.model");
-const { authenticateToken, authorizeRoles } = require("../middleware/auth");
+const transferModel = require("../models/transfer.model");
+const categoryModel = require("../models/category.model");
+const photoModel = require("../models/photo.model");
+const claimModel = require("../models/claim.model");
+const revisionModel = require("../models/revision.model");
+const userModel = require("../models/user.model");
+const verificationModel = require("../models/verification.model");
+const geocoder = require("../utils/geocoder");
+const { NOTIFICATIONS, notify } = require("../utils/notifications");
+const { saveFile, removeFile } = require("../utils/storage");
+const { PHOTO_MIME_TYPES, processPhoto } = require("../utils/images");
+const {
+  DOCUMENT_MIME_TYPES,
+  detectDocumentFormat,
+} = require("../utils/documents");
+const { parseCsv } = require("../utils/csv");
+const {
+  storeListValidation,
+  parseListParam,
+  getStoreFilters,
+} = require("../utils/storeFilters");
+const httpError = require("../utils/httpError");
+const {
+  normalizeAddressInput,
+  pickAddressInput,
+  validateAddressInput,
+} = require("../utils/address");
+const {
+  DAYS,
+  isValidTime,
+  isValidDate,
+  isValidTimeZone,
+} = require("../utils/openingHours");
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+router.param("id", requireIntParam("store ID"));
+router.param("photoId", requireIntParam("photo ID"));
+router.param("revisionId", requireIntParam("revision ID"));
+router.param("ratingId", requireIntParam("rating ID"));
+
+// Validation rules
+const storeValidation = [
+  check("name").notEmpty().withMessage("Store name is required"),
+  check("email").optional().isEmail().withMessage("Valid email is required"),
+  check("address").optional({ nullable: true }),
+  check(["street", "city", "region", "postalCode", "country"])
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Address parts must be text"),
+  check("categoryIds")
+    .optional()
+    .isArray()
+    .withMessage("categoryIds must be an array of category IDs"),
+  check("categoryIds.*").isInt().withMessage("Category IDs must be integers"),
+  check("tags").optional().isArray().withMessage("tags must be an array"),
+  check("tags.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tags must be between 1 and 50 characters"),
+  check("latitude")
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90"),
+  check("longitude")
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180"),
+  check("timeZone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("timeZone must be an IANA time zone such as Europe/Berlin"),
+  check("openingHours")
+    .optional()
+    .isArray()
+    .withMessage("openingHours must be an array of {day, opens, closes}"),
+  check("openingHours.*.day")
+    .isString()
+    .toLowerCase()
+    .isIn(DAYS)
+    .withMessage(`day must be one of ${DAYS.join(", ")}`),
+  check(["openingHours.*.opens", "openingHours.*.closes"])
+    .custom(isValidTime)
+    .withMessage("Opening hours must be HH:MM times"),
+  check("holidayExceptions")
+    .optional()
+    .isArray()
+    .withMessage(
+      "holidayExceptions must be an array of {date, closed, opens, closes, note}"
+    )
+    .custom(
+      (exceptions) =>
+        new Set(exceptions.map((e) => e && e.date)).size === exceptions.length
+    )
+    .withMessage("holidayExceptions can only have one entry per date"),
+  check("holidayExceptions.*.date")
+    .custom(isValidDate)
+    .withMessage("Exception dates must be YYYY-MM-DD"),
+  check("holidayExceptions.*.closed")
+    .optional()
+    .isBoolean()
+    .withMessage("closed must be true or false")
+    .toBoolean(),
+  check(["holidayExceptions.*.opens", "holidayExceptions.*.closes"])
+    .optional({ nullable: true })
+    .custom(isValidTime)
+    .withMessage("Exception hours must be HH:MM times"),
+  check("holidayExceptions.*")
+    .custom((e) => e.closed !== false || (e.opens && e.closes))
+    .withMessage("Exceptions that aren't closed need opens and closes times"),
+  check("holidayExceptions.*.note")
+    .optional({ nullable: true })
+    .isLength({ max: 200 })
+    .withMessage("Exception notes must be at most 200 characters"),
+];
+
+// Photo upload limits (MAX_PHOTO_SIZE_MB per file, default 5)
+const MAX_PHOTO_SIZE_MB = parseInt(process.env.MAX_PHOTO_SIZE_MB || "5", 10);
+const MAX_PHOTOS_PER_UPLOAD = 10;
+const MAX_PHOTOS_PER_STORE = 30;
+
+// Uploads are kept in memory until they have been checked and resized
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PHOTO_SIZE_MB * 1024 * 1024,
+    files: MAX_PHOTOS_PER_UPLOAD,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!PHOTO_MIME_TYPES.includes(file.mimetype)) {
+      return cb(
+        httpError(
+          415,
+          `${file.originalname} isn't a supported image (JPEG, PNG or WebP)`
+        )
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Verification document limits (MAX_DOCUMENT_SIZE_MB per file, default 10)
+const MAX_DOCUMENT_SIZE_MB = parseInt(
+  process.env.MAX_DOCUMENT_SIZE_MB || "10",
+  10
+);
+const MAX_DOCUMENTS_PER_REQUEST = 5;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE_MB * 1024 * 1024,
+    files: MAX_DOCUMENTS_PER_REQUEST,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(
+        httpError(
+          415,
+          `${file.originalname} isn't a supported document (PDF, JPEG, PNG or WebP)`
+        )
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Parse multipart uploads from one field, answering upload errors here
+// instead of in the generic error handler
+const receiveFiles =
+  (upload, { field, maxFiles, maxSizeMb }) =>
+  (req, res, next) => {
+    upload.array(field, maxFiles)(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({
+            message: `Each file in "${field}" must be at most ${maxSizeMb} MB`,
+          });
+        }
+        return res.status(400).json({
+          message: `Upload up to ${maxFiles} files in the "${field}" field`,
+        });
+      }
+
+      if (err.statusCode) {
+        return res.status(err.statusCode).json({ message: err.message });
+      }
+      next(err);
+    });
+  };
+
+const receivePhotos = receiveFiles(photoUpload, {
+  field: "photos",
+  maxFiles: MAX_PHOTOS_PER_UPLOAD,
+  maxSizeMb: MAX_PHOTO_SIZE_MB,
+});
+
+const receiveDocuments = receiveFiles(documentUpload, {
+  field: "documents",
+  maxFiles: MAX_DOCUMENTS_PER_REQUEST,
+  maxSizeMb: MAX_DOCUMENT_SIZE_MB,
+});
+
+// Remove stored files whose database rows are gone; failures are only
+// logged since nothing refers to the files anymore
+const removeStoredFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await removeFile(key);
+    } catch (error) {
+      console.error("Remove stored file error:", error);
+    }
+  }
+};
+
+// Remove the files of deleted photos
+const removePhotoFiles = (photos) =>
+  removeStoredFiles(
+    photos.flatMap((photo) => [photo.storage_key, photo.thumbnail_key])
+  );
+
+// Work out a store's coordinates from the request body: explicit
+// latitude/longitude win, otherwise the address is geocoded when it is new
+// or changed (unless geocode is false). Returns {} when the coordinates
+// should stay as they are.
+const resolveCoordinates = async (
+  body,
+  existingStore = null,
+  { geocode = true } = {}
+) => {
+  const { latitude, longitude } = body;
+
+  if (latitude !== undefined || longitude !== undefined) {
+    return {
+      latitude: latitude === null ? null : parseFloat(latitude),
+      longitude: longitude === null ? null : parseFloat(longitude),
+    };
+  }
+
+  const addressColumns = normalizeAddressInput(body);
+  const address = addressColumns && addressColumns.address;
+  if (!addressColumns || (existingStore && existingStore.address === address)) {
+    return {};
+  }
+
+  if (!geocode) {
+    return { latitude: null, longitude: null };
+  }
+
+  try {
+    const coordinates = await geocoder.geocode(address);
+    return coordinates || { latitude: null, longitude: null };
+  } catch (error) {
+    // A geocoding outage shouldn't block saving the store
+    console.error("Geocoding error:", error);
+    return { latitude: null, longitude: null };
+  }
+};
+
+// Holiday exceptions as stored: closed unless both special hours are given
+const normalizeHolidayExceptions = (exceptions) =>
+  exceptions &&
+  exceptions.map(({ date, closed, opens, closes, note }) => {
+    const isClosed = closed !== undefined ? closed : !(opens && closes);
+    return {
+      date,
+      closed: isClosed,
+      opens: isClosed ? null : opens,
+      closes: isClosed ? null : closes,
+      note,
+    };
+  });
+
+// Check address lengths, returns true if a response was sent
+const rejectInvalidAddress = (body, res) => {
+  const message = validateAddressInput(body);
+  if (message) {
+    res.status(400).json({ message });
+    return true;
+  }
+
+  return false;
+};
+
+// Both coordinates or neither, returns true if a response was sent
+const rejectPartialCoordinates = (body, res) => {
+  const hasLatitude = body.latitude !== undefined && body.latitude !== null;
+  const hasLongitude = body.longitude !== undefined && body.longitude !== null;
+
+  if (hasLatitude !== hasLongitude) {
+    res
+      .status(400)
+      .json({ message: "Latitude and longitude must be provided together" });
+    return true;
+  }
+
+  return false;
+};
+
+// Reject category IDs that don't exist, returns true if a response was sent
+const rejectUnknownCategories = async (categoryIds, res) => {
+  if (!categoryIds || categoryIds.length === 0) {
+    return false;
+  }
+
+  const missing = await categoryModel.getMissingCategoryIds(
+    categoryIds.map(Number)
+  );
+  if (missing.length > 0) {
+    res
+      .status(400)
+      .json({ message: `Unknown category IDs: ${missing.join(", ")}` });
+    return true;
+  }
+
+  return false;
+};
+
+// Bulk import limits
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_SIZE = "5mb";
+
+// CSV import columns holding ;-separated lists or JSON
+const CSV_LIST_COLUMNS = ["categoryIds", "tags"];
+const CSV_JSON_COLUMNS = ["openingHours", "holidayExceptions"];
+
+// Turn a CSV record into the shape of a POST /api/stores body, empty cells
+// are left out
+const csvRecordToStore = (record) => {
+  const store = {};
+
+  for (const [column, value] of Object.entries(record)) {
+    const text = (value || "").trim();
+    if (!column || !text) {
+      continue;
+    }
+
+    if (CSV_LIST_COLUMNS.includes(column)) {
+      store[column] = text
+        .split(";")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    } else if (CSV_JSON_COLUMNS.includes(column)) {
+      try {
+        store[column] = JSON.parse(text);
+      } catch (error) {
+        // Kept as text, validation reports it isn't an array
+        store[column] = text;
+      }
+    } else {
+      store[column] = text;
+    }
+  }
+
+  return store;
+};
+
+// Read the stores to import from a CSV or JSON request body
+const readImportRows = (req) => {
+  if (req.is("text/csv")) {
+    try {
+      return parseCsv(req.body).map(csvRecordToStore);
+    } catch (error) {
+      throw httpError(400, `Invalid CSV: ${error.message}`);
+    }
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body.stores;
+  if (
+    !Array.isArray(rows) ||
+    !rows.every((row) => row && typeof row === "object" && !Array.isArray(row))
+  ) {
+    throw httpError(
+      400,
+      "Send CSV (text/csv) or a JSON array of stores, optionally as { stores: [...] }"
+    );
+  }
+
+  return rows;
+};
+
+// Check an import row with storeValidation plus the checks POST /api/stores
+// makes. Emails must be new, also within the import (seenEmails), and the
+// owner is looked up by ownerEmail. Returns {errors: [{field, message}],
+// ownerId}; the row is sanitized in place like a request body.
+const validateImportRow = async (row, seenEmails) => {
+  const req = { body: row };
+  for (const chain of storeValidation) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req)
+    .array()
+    .map((error) => ({ field: error.path, message: error.msg }));
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (!row.email) {
+    addError("email", "Store email is required");
+  } else if (seenEmails.has(row.email)) {
+    addError("email", "Email is used by another row of the import");
+  } else if (await storeModel.isEmailInUse(row.email)) {
+    addError("email", "A store with this email already exists");
+  }
+  seenEmails.add(row.email);
+
+  const addressError = validateAddressInput(row);
+  if (addressError) {
+    addError("address", addressError);
+  }
+
+  const hasLatitude = row.latitude !== undefined && row.latitude !== null;
+  const hasLongitude = row.longitude !== undefined && row.longitude !== null;
+  if (hasLatitude !== hasLongitude) {
+    addError("latitude", "Latitude and longitude must be provided together");
+  }
+
+  if (
+    Array.isArray(row.categoryIds) &&
+    row.categoryIds.length > 0 &&
+    row.categoryIds.every((id) => Number.isInteger(Number(id)))
+  ) {
+    const missing = await categoryModel.getMissingCategoryIds(
+      row.categoryIds.map(Number)
+    );
+    if (missing.length > 0) {
+      addError("categoryIds", `Unknown category IDs: ${missing.join(", ")}`);
+    }
+  }
+
+  let ownerId = null;
+  if (row.ownerId !== undefined) {
+    addError("ownerId", "Set the owner with ownerEmail");
+  } else if (row.ownerEmail) {
+    const owner = await userModel.getUserByEmail(row.ownerEmail);
+    if (!owner) {
+      addError("ownerEmail", "No user with this email");
+    } else if (owner.role !== "store_owner") {
+      addError("ownerEmail", "The owner must be a store owner");
+    } else {
+      ownerId = owner.id;
+    }
+  }
+
+  return { errors, ownerId };
+};
+
+// Get all stores (accessible by all authenticated users)
+// Filters: ?category= (IDs or slugs), ?tag=, ?city= and ?region=;
+// comma-separated values match any.
+// ?near=lat,lng&radius=km limits results to stores within the radius (default
+// 10 km), adds distanceKm and sorts by it unless ?sort=name.
+// ?openNow=true (or false) keeps stores that are open (closed) right now.
+// ?verified=true (or false) keeps verified (unverified) stores.
+// ?brandId= keeps the branches of a brand.
+// With ?facets=true the response is { stores, facets } with category and
+// tag counts for filter chips (openNow isn't applied to the counts).
+router.get("/", authenticateToken, storeListValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filters = getStoreFilters(req.query);
+    const stores = await storeModel.getAllStores(filters);
+
+    if (req.query.facets === "true") {
+      const facets = await storeModel.getStoreFacets(filters);
+      return res.json({ stores, facets });
+    }
+
+    res.json(stores); // Return stores array directly, not wrapped in an object
+  } catch (error) {
+    console.error("Get stores error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Full-text search over store names, categories, addresses and reviews.
+// ?q= takes words, "quoted phrases", OR and -excluded words; results are
+// ranked by relevance with <mark> highlighted names and snippets.
+// ?limit= (default 20, max 50) and ?offset= page through them.
+router.get(
+  "/search",
+  authenticateToken,
+  [
+    check("q")
+      .trim()
+      .notEmpty()
+      .withMessage("A search query is required")
+      .isLength({ max: 200 })
+      .withMessage("Search query must be at most 200 characters"),
+    check("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("limit must be between 1 and 50"),
+    check("offset")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("offset must be 0 or more"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const stores = await storeModel.searchStores({
+        q: req.query.q,
+        limit: parseInt(req.query.limit, 10) || 20,
+        offset: parseInt(req.query.offset, 10) || 0,
+      });
+      res.json({ stores });
+    } catch (error) {
+      console.error("Search stores error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Get archived stores (admin only)
+router.get(
+  "/archived",
+  authenticateToken,
+  requirePermission("stores:restore"),
+  async (req, res) => {
+    try {
+      const stores = await storeModel.getArchivedStores();
+      res.json({ stores });
+    } catch (error) {
+      console.error("Get archived stores error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Get pairs of stores that are probably duplicates (admin only), scored 0-1
+// from name, address and email domain similarity. ?minScore= (default 0.6)
+router.get(
+  "/duplicates",
+  authenticateToken,
+  requirePermission("stores:merge"),
+  [
+    check("minScore")
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage("minScore must be between 0 and 1"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const candidates = await storeModel.getDuplicateCandidates({
+        minScore:
+          req.query.minScore !== undefined
+            ? Number(req.query.minScore)
+            : undefined,
+      });
+      res.json({ candidates });
+    } catch (error) {
+      console.error("Get duplicate stores error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Get the distinct cities that have stores (optional ?region= filter)
+router.get("/cities", authenticateToken, async (req, res) => {
+  try {
+    const cities = await storeModel.getCities({
+      regions: parseListParam(req.query.region),
+    });
+    res.json({ cities });
+  } catch (error) {
+    console.error("Get cities error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get store by ID
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const store = await storeModel.getStoreById(id);
+
+    if (!store) {
+      // Merged duplicates point to the store they were merged into. The
+      // redirect is temporary because an admin can restore the duplicate.
+      const mergedIntoId = await storeModel.getMergeTarget(id);
+      if (mergedIntoId) {
+        return res.status(307).location(`${req.baseUrl}/${mergedIntoId}`).json({
+          message: "Store was merged into another store",
+          mergedIntoId,
+        });
+      }
+
+      return res.status(404).json({ message: "Store not found" });
+    }
+
+    // Get store photos and ratings
+    store.photos = await photoModel.getPhotosByStoreId(id);
+    const ratings = await ratingModel.getRatingsByStoreId(id);
+
+    // Get user's rating for this store if it exists
+    let userRating = null;
+    if (req.user) {
+      userRating = await ratingModel.getRatingByUserAndStore(req.user.id, id);
+    }
+
+    res.json({
+      store,
+      ratings,
+      userRating,
+    });
+  } catch (error) {
+    console.error("Get store error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Create store (admin and store_owner only)
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("stores:create"),
+  storeValidation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        name,
+        email,
+        timeZone,
+        categoryIds,
+        tags,
+        openingHours,
+        holidayExceptions,
+      } = req.body;
+
+      if (
+        rejectInvalidAddress(req.body, res) ||
+        rejectPartialCoordinates(req.body, res) ||
+        (await rejectUnknownCategories(categoryIds, res))
+      ) {
+        return;
+      }
+
+      // Set owner ID based on the authenticated user
+      const ownerId = req.user.id;
+
+      const store = await storeModel.createStore(
+        {
+          name,
+          email,
+          ...pickAddressInput(req.body),
+          ...(await resolveCoordinates(req.body)),
+          timeZone,
+          ownerId,
+          categoryIds: categoryIds && categoryIds.map(Number),
+          tags,
+          openingHours,
+          holidayExceptions: normalizeHolidayExceptions(holidayExceptions),
+        },
+        { actorId: req.user.id }
+      );
+
+      res.status(201).json({
+        message: "Store created successfully",
+        store,
+      });
+    } catch (error) {
+      console.error("Create store error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Bulk import stores (admin only). The body is CSV (Content-Type: text/csv)
+// with a header row, or a JSON array of stores (or { stores: [...] }). Rows
+// take the fields of POST /api/stores plus ownerEmail to assign an existing
+// store owner; in CSV, categoryIds and tags are ;-separated and
+// openingHours / holidayExceptions are JSON.
+// Every row is validated first and nothing is imported if any row fails.
+// With ?dryRun=true the rows are only validated and the per-row errors
+// returned. Addresses aren't geocoded (the public geocoder allows one
+// request a second), rows should carry their latitude/longitude.
+router.post(
+  "/import",
+  authenticateToken,
+  requirePermission("stores:import"),
+  express.text({ type: "text/csv", limit: MAX_IMPORT_SIZE }),
+  express.json({ limit: MAX_IMPORT_SIZE }),
+  async (req, res) => {
+    try {
+      const rows = readImportRows(req);
+      const dryRun = req.query.dryRun === "true";
+
+      if (rows.length === 0) {
+        return res.status(400).json({ message: "No stores to import" });
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          message: `At most ${MAX_IMPORT_ROWS} stores can be imported at once`,
+        });
+      }
+
+      // Rows are numbered from 1 in the order they were sent
+      const rowErrors = [];
+      const owners = [];
+      const seenEmails = new Set();
+      for (const [index, row] of rows.entries()) {
+        const { errors, ownerId } = await validateImportRow(row, seenEmails);
+        if (errors.length > 0) {
+          rowErrors.push({ row: index + 1, errors });
+        }
+        owners.push(ownerId);
+      }
+
+      if (dryRun || rowErrors.length > 0) {
+        return res.status(dryRun ? 200 : 400).json({
+          message:
+            rowErrors.length > 0
+              ? "Some rows are invalid, nothing was imported"
+              : "All rows are valid",
+          dryRun,
+          rowCount: rows.length,
+          errors: rowErrors,
+        });
+      }
+
+      const storesData = [];
+      for (const [index, row] of rows.entries()) {
+        storesData.push({
+          name: row.name,
+          email: row.email,
+          ...pickAddressInput(row),
+          ...(await resolveCoordinates(row, null, { geocode: false })),
+          timeZone: row.timeZone,
+          ownerId: owners[index],
+          categoryIds: row.categoryIds && row.categoryIds.map(Number),
+          tags: row.tags,
+          openingHours: row.openingHours,
+          holidayExceptions: normalizeHolidayExceptions(row.holidayExceptions),
+        });
+      }
+
+      const stores = await storeModel.importStores(storesData, {
+        actorId: req.user.id,
+      });
+
+      res.status(201).json({
+        message: `${stores.length} stores imported successfully`,
+        stores,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Import stores error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Update store (any store with stores:update, own stores with stores:update:own)
+// openingHours [{day, opens, closes}] and holidayExceptions
+// [{date, closed, opens, closes, note}] replace the current ones when sent;
+// times are HH:MM in the store's timeZone
+// A new name or email removes the verified badge until it is reviewed again
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("stores:update"),
+  storeValidation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const {
+        name,
+        email,
+        timeZone,
+        categoryIds,
+        tags,
+        openingHours,
+        holidayExceptions,
+      } = req.body;
+
+      if (req.body.ownerId !== undefined) {
+        return res.status(400).json({
+          message:
+            "The owner can't be changed here. Start a transfer with POST /api/stores/:id/transfers",
+        });
+      }
+
+      // Check if store exists
+      const existingStore = await storeModel.getStoreById(id);
+      if (!existingStore) {
+        return res.status(404).json({ message: "Store not found" });
+      }
+
+      if (
+        rejectInvalidAddress(req.body, res) ||
+        rejectPartialCoordinates(req.body, res) ||
+        (await rejectUnknownCategories(categoryIds, res))
+      ) {
+        return;
+      }
+
+      const updatedStore = await storeModel.updateStore(
+        id,
+        {
+          name,
+          email,
+          ...pickAddressInput(req.body),
+          ...(await resolveCoordinates(req.body, existingStore)),
+          timeZone,
+          categoryIds: categoryIds && categoryIds.map(Number),
+          tags,
+          openingHours,
+          holidayExceptions: normalizeHolidayExceptions(holidayExceptions),
+        },
+        { actorId: req.user.id }
+      );
+
+      res.json({
+        message: "Store updated successfully",
+        store: updatedStore,
+      });
+    } catch (error) {
+      console.error("Update store error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Archive store (admin only). Archived stores are hidden from listings and
+// can't be rated; their ratings are kept until the store is purged.
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("stores:delete"),
+  async (req, res) => {
+    try {
+      const archived = await storeModel.archiveStore(
+        req.params.id,
+        req.user.id
+      );
+
+      if (!archived) {
+        return res.status(404).json({ message: "Store not found" });
+      }
+
+      res.json({
+        message: "Store archived successfully",
+        deletedAt: archived.deleted_at,
+      });
+    } catch (error) {
+      console.error("Delete store error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Restore an archived store
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  requirePermission("stores:restore"),
+  async (req, res) => {
+    try {
+      const store = await storeModel.restoreStore(req.params.id, req.user.id);
+
+      if (!store) {
+        return res.status(404).json({ message: "Archived store not found" });
+      }
+
+      res.json({
+        message: "Store restored successfully",
+        store,
+      });
+    } catch (error) {
+      console.error("Restore store error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Merge a duplicate store into another one (admin only). Its ratings move
+// to the surviving store, keeping only the most recent one of users who
+// rated both, and it is archived with a redirect to the survivor.
+router.post(
+  "/:id/merge",
+  authenticateToken,
+  requirePermission("stores:merge"),
+  [
+    check("intoStoreId")
+      .isInt({ min: 1 })
+      .withMessage("intoStoreId must be a store ID"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const intoStoreId = parseInt(req.body.intoStoreId, 10);
+      const result = await storeModel.mergeStores(
+        parseInt(req.params.id, 10),
+        intoStoreId,
+        req.user.id
+      );
+
+      res.json({
+        message: "Stores merged successfully",
+        ...result,
+        store: await storeModel.getStoreById(intoStoreId),
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Merge stores error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Permanently delete an archived store, its ratings and photos
+router.delete(
+  "/:id/purge",
+  authenticateToken,
+  requirePermission("stores:purge"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const photos = await photoModel.getPhotoKeysByStoreId(id);
+      const documentKeys = await verificationModel.getDocumentKeysByStoreId(id);
+      const purged = await storeModel.purgeStore(id);
+
+      if (!purged) {
+        return res.status(404).json({ message: "Store not found" });
+      }
+
+      await removePhotoFiles(photos);
+      await removeStoredFiles(documentKeys);
+
+      res.json({ message: "Store purged successfully" });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Purge store error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Get the photos of a store in gallery order
+router.get("/:id/photos", authenticateToken, async (req, res) => {
+  try {
+    const photos = await photoModel.getPhotosByStoreId(req.params.id);
+    res.json({ photos });
+  } catch (error) {
+    console.error("Get store photos error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Upload photos (multipart/form-data, "photos" field). They are added at the
+// end of the gallery; each gets a thumbnail.
+// (any store with stores:update, own stores with stores:update:own)
+router.post(
+  "/:id/photos",
+  authenticateToken,
+  requirePermission("stores:update"),
+  receivePhotos,
+  async (req, res) => {
+    const savedKeys = [];
+
+    try {
+      const { id } = req.params;
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res
+          .status(400)
+          .json({ message: 'No photos uploaded in the "photos" field' });
+      }
+
+      // Check if store exists
+      const store = await storeModel.getStoreById(id);
+      if (!store) {
+        return res.status(404).json({ message: "Store not found" });
+      }
 
-const router = express.Router();
+      // Checked again when the photos are added, this only avoids storing
+      // files that can't be used
+      const photoCount = await photoModel.countPhotos(id);
+      if (photoCount + files.length > MAX_PHOTOS_PER_STORE) {
+        return res.status(400).json({
+          message: `A store can have at most ${MAX_PHOTOS_PER_STORE} photos`,
+        });
+      }
 
-// Validation rules
-const storeValidation = [
-  check("name").notEmpty().withMessage("Store name is required"),
-  check("email").optional().isEmail().withMessage("Valid email is required"),
-  check("address").optional(),
-];
+      // Check every file before storing any of them
+      const processed = [];
+      for (const file of files) {
+        const result = await processPhoto(file.buffer);
+        if (!result) {
+          return res.status(415).json({
+            message: `${file.originalname} isn't a supported image (JPEG, PNG or WebP)`,
+          });
+        }
+        processed.push(result);
+      }
 
-// Get all stores (accessible by all authenticated users)
-router.get("/", authenticateToken, async (req, res) => {
-  try {
-    const stores = await storeModel.getAllStores();
-    res.json(stores); // Return stores array directly, not wrapped in an object
-  } catch (error) {
-    console.error("Get stores error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
-  }
-});
+      const newPhotos = [];
+      for (const { photo, thumbnail } of processed) {
+        const baseKey = `stores/${id}/${crypto.randomUUID()}`;
+        const storageKey = `${baseKey}.${photo.extension}`;
+        const thumbnailKey = `${baseKey}-thumb.${thumbnail.extension}`;
 
-// Get store by ID
-router.get("/:id", authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const store = await storeModel.getStoreById(id);
+        await saveFile(storageKey, photo.buffer, photo.contentType);
+        savedKeys.push(storageKey);
+        await saveFile(thumbnailKey, thumbnail.buffer, thumbnail.contentType);
+        savedKeys.push(thumbnailKey);
 
-    if (!store) {
-      return res.status(404).json({ message: "Store not found" });
+        newPhotos.push({
+          storageKey,
+          thumbnailKey,
+          contentType: photo.contentType,
+          sizeBytes: photo.buffer.length,
+          width: photo.width,
+          height: photo.height,
+        });
+      }
+
+      // The rows are added in one transaction that also enforces the limit,
+      // so on failure none of the saved files belongs to a photo
+      const photos = await photoModel.createPhotos(store.id, newPhotos, {
+        maxPhotos: MAX_PHOTOS_PER_STORE,
+        uploadedBy: req.user.id,
+      });
+
+      res.status(201).json({
+        message: "Photos uploaded successfully",
+        photos,
+      });
+    } catch (error) {
+      // Don't leave files behind for photos that weren't saved
+      for (const key of savedKeys) {
+        await removeFile(key).catch(() => {});
+      }
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Upload store photos error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
     }
+  }
+);
 
-    // Get store ratings
-    const ratings = await ratingModel.getRatingsByStoreId(id);
+// Reorder the photos of a store, photoIds lists all of them in the new order
+router.put(
+  "/:id/photos/order",
+  authenticateToken,
+  requirePermission("stores:update"),
+  [
+    check("photoIds")
+      .isArray({ min: 1 })
+      .withMessage("photoIds must be an array of photo IDs"),
+    check("photoIds.*")
+      .isInt()
+      .withMessage("Photo IDs must be integers")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Get user's rating for this store if it exists
-    let userRating = null;
-    if (req.user) {
-      userRating = await ratingModel.getRatingByUserAndStore(req.user.id, id);
+      const photos = await photoModel.reorderPhotos(
+        req.params.id,
+        req.body.photoIds
+      );
+
+      res.json({
+        message: "Photos reordered successfully",
+        photos,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Reorder store photos error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
     }
+  }
+);
 
-    res.json({
-      store,
-      ratings,
-      userRating,
-    });
-  } catch (error) {
-    console.error("Get store error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+// Delete a photo of a store
+router.delete(
+  "/:id/photos/:photoId",
+  authenticateToken,
+  requirePermission("stores:update"),
+  async (req, res) => {
+    try {
+      const { id, photoId } = req.params;
+
+      const photo = await photoModel.deletePhoto(id, photoId);
+      if (!photo) {
+        return res.status(404).json({ message: "Photo not found" });
+      }
+
+      await removePhotoFiles([photo]);
+
+      res.json({ message: "Photo deleted successfully" });
+    } catch (error) {
+      console.error("Delete store photo error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
   }
-});
+);
 
-// Create store (admin and store_owner only)
+// Start an ownership transfer to another store owner
+// (any store with stores:transfer, own stores with stores:transfer:own)
 router.post(
-  "/",
+  "/:id/transfers",
   authenticateToken,
-  authorizeRoles(["admin", "store_owner"]),
-  storeValidation,
+  requirePermission("stores:transfer"),
+  [
+    check("toOwnerId").isInt().withMessage("Valid recipient ID is required"),
+    check("note").optional().isString(),
+  ],
   async (req, res) => {
     try {
       // Check for validation errors
@@ -68,93 +1183,238 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, email, address } = req.body;
+      const transfer = await transferModel.createTransfer({
+        storeId: parseInt(req.params.id, 10),
+        toOwnerId: parseInt(req.body.toOwnerId, 10),
+        initiatedBy: req.user.id,
+        note: req.body.note,
+      });
 
-      // Set owner ID based on the authenticated user
-      const ownerId = req.user.id;
+      res.status(201).json({
+        message: "Transfer started. The recipient has to accept it",
+        transfer,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Create transfer error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
 
-      const store = await storeModel.createStore({
-        name,
-        email,
-        address,
-        ownerId,
+// Claim an unowned store. Admins review claims through /api/claims; an
+// approved claim makes the user the store's owner.
+router.post(
+  "/:id/claims",
+  authenticateToken,
+  requireVerifiedEmail,
+  [
+    check("evidence")
+      .trim()
+      .isLength({ min: 20, max: 2000 })
+      .withMessage(
+        "Evidence must be between 20 and 2000 characters, e.g. your role and how we can verify it"
+      ),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const claim = await claimModel.createClaim({
+        storeId: parseInt(req.params.id, 10),
+        userId: req.user.id,
+        evidence: req.body.evidence,
       });
 
       res.status(201).json({
-        message: "Store created successfully",
-        store,
+        message: "Claim submitted. An admin will review it",
+        claim,
       });
     } catch (error) {
-      console.error("Create store error:", error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Create claim error:", error);
       res.status(500).json({ message: "Server error", error: error.message });
     }
   }
 );
 
-// Update store (admin and store_owner)
-router.put("/:id", authenticateToken, storeValidation, async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+// Request the verified badge (multipart/form-data with "notes" and/or
+// "documents" files: PDF, JPEG, PNG or WebP). Admins review requests through
+// /api/verifications. Documents are kept in private storage.
+// (any store with stores:update, own stores with stores:update:own)
+router.post(
+  "/:id/verification-requests",
+  authenticateToken,
+  requirePermission("stores:update"),
+  receiveDocuments,
+  [
+    check("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage("Notes must be at most 2000 characters"),
+  ],
+  async (req, res) => {
+    const savedKeys = [];
 
-    const { id } = req.params;
-    const { name, email, address } = req.body;
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Check if store exists
-    const existingStore = await storeModel.getStoreById(id);
-    if (!existingStore) {
-      return res.status(404).json({ message: "Store not found" });
-    }
+      const { id } = req.params;
+      const { notes } = req.body;
+      const files = req.files || [];
+
+      if (!notes && files.length === 0) {
+        return res.status(400).json({
+          message:
+            'Send notes or documents (in the "documents" field) showing you run this business',
+        });
+      }
+
+      // Check every file before storing any of them
+      const formats = [];
+      for (const file of files) {
+        const format = detectDocumentFormat(file.buffer);
+        if (!format) {
+          return res.status(415).json({
+            message: `${file.originalname} isn't a supported document (PDF, JPEG, PNG or WebP)`,
+          });
+        }
+        formats.push(format);
+      }
 
-    // Check if user has permission (admin or owner of the store)
-    const isAdmin = req.user.role === "admin";
-    const isOwner = existingStore.owner_id === req.user.id;
+      const documents = [];
+      for (const [index, file] of files.entries()) {
+        const format = formats[index];
+        const storageKey = `private/verifications/${id}/${crypto.randomUUID()}.${
+          format.extension
+        }`;
 
-    if (!isAdmin && !isOwner) {
-      return res.status(403).json({
-        message: "You do not have permission to update this store",
+        await saveFile(storageKey, file.buffer, format.contentType);
+        savedKeys.push(storageKey);
+
+        documents.push({
+          storageKey,
+          filename: file.originalname.slice(0, 255),
+          contentType: format.contentType,
+          sizeBytes: file.size,
+        });
+      }
+
+      const verification = await verificationModel.createVerification({
+        storeId: parseInt(id, 10),
+        requestedBy: req.user.id,
+        notes,
+        documents,
       });
-    }
 
-    const updatedStore = await storeModel.updateStore(id, {
-      name,
-      email,
-      address,
-    });
+      res.status(201).json({
+        message: "Verification requested. An admin will review it",
+        verification,
+      });
+    } catch (error) {
+      // Don't leave files behind for a request that wasn't saved
+      await removeStoredFiles(savedKeys);
 
-    res.json({
-      message: "Store updated successfully",
-      store: updatedStore,
-    });
-  } catch (error) {
-    console.error("Update store error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Request verification error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
   }
-});
+);
 
-// Delete store (admin only)
+// Take the verified badge away from a store (admin only)
 router.delete(
-  "/:id",
+  "/:id/verification",
   authenticateToken,
-  authorizeRoles(["admin"]),
+  requirePermission("verifications:review"),
   async (req, res) => {
     try {
-      const { id } = req.params;
+      const revoked = await verificationModel.revokeVerification(req.params.id);
 
-      // Check if store exists
-      const existingStore = await storeModel.getStoreById(id);
-      if (!existingStore) {
-        return res.status(404).json({ message: "Store not found" });
+      if (!revoked) {
+        return res.status(404).json({ message: "Verified store not found" });
       }
 
-      await storeModel.deleteStore(id);
+      res.json({ message: "Store verification revoked" });
+    } catch (error) {
+      console.error("Revoke verification error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Get who owned a store and when
+router.get(
+  "/:id/ownership-history",
+  authenticateToken,
+  requirePermission("stores:transfer"),
+  async (req, res) => {
+    try {
+      const history = await storeModel.getOwnershipHistory(req.params.id);
+      res.json({ history });
+    } catch (error) {
+      console.error("Get ownership history error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
 
-      res.json({ message: "Store deleted successfully" });
+// Get the edit history of a store, newest first (its owner and admins).
+// Each revision has the actor, the action and the changed fields as
+// {field: {from, to}}
+router.get(
+  "/:id/history",
+  authenticateToken,
+  requirePermission("stores:update"),
+  async (req, res) => {
+    try {
+      const history = await revisionModel.getRevisionsByStoreId(req.params.id);
+      res.json({ history });
     } catch (error) {
-      console.error("Delete store error:", error);
+      console.error("Get store history error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Put a store's details back to how a revision left them (admin only).
+// The revert is recorded as a new revision.
+router.post(
+  "/:id/history/:revisionId/revert",
+  authenticateToken,
+  requirePermission("stores:revert"),
+  async (req, res) => {
+    try {
+      const store = await storeModel.revertStore(
+        parseInt(req.params.id, 10),
+        parseInt(req.params.revisionId, 10),
+        req.user.id
+      );
+
+      res.json({
+        message: "Store reverted successfully",
+        store,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Revert store error:", error);
       res.status(500).json({ message: "Server error", error: error.message });
     }
   }
@@ -164,6 +1424,8 @@ router.delete(
 router.post(
   "/:id/rate",
   authenticateToken,
+  requireVerifiedEmail,
+  requirePermission("ratings:create"),
   [
     check("rating")
       .isInt({ min: 1, max: 5 })
@@ -246,6 +1508,117 @@ router.post(
   }
 );
 
+// Validation rules for replies to ratings
+const replyValidation = [
+  check("body")
+    .trim()
+    .notEmpty()
+    .withMessage("Reply text is required")
+    .isLength({ max: 1000 })
+    .withMessage("Reply must be at most 1000 characters"),
+];
+
+// Publicly reply to a rating of the store, one reply per rating. The
+// reviewer is notified. (own stores with stores:reply:own, which includes
+// the stores of the user's brands)
+router.post(
+  "/:id/ratings/:ratingId/reply",
+  authenticateToken,
+  requirePermission("stores:reply"),
+  replyValidation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const storeId = parseInt(req.params.id, 10);
+      const { reply, reviewer, storeName } = await ratingModel.createReply({
+        ratingId: parseInt(req.params.ratingId, 10),
+        storeId,
+        authorId: req.user.id,
+        body: req.body.body,
+      });
+
+      // Delivered in the background, failures are only logged
+      if (reviewer.id !== req.user.id) {
+        notify(NOTIFICATIONS.RATING_REPLY, {
+          reply,
+          reviewer,
+          storeId,
+          storeName,
+        });
+      }
+
+      res.status(201).json({ message: "Reply posted successfully", reply });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Create reply error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Edit the store's reply to a rating (own stores with stores:reply:own)
+router.put(
+  "/:id/ratings/:ratingId/reply",
+  authenticateToken,
+  requirePermission("stores:reply"),
+  replyValidation,
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const reply = await ratingModel.updateReply(
+        req.params.ratingId,
+        req.params.id,
+        req.body.body
+      );
+
+      if (!reply) {
+        return res.status(404).json({ message: "Reply not found" });
+      }
+
+      res.json({ message: "Reply updated successfully", reply });
+    } catch (error) {
+      console.error("Update reply error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Delete the store's reply to a rating (own stores with stores:reply:own)
+router.delete(
+  "/:id/ratings/:ratingId/reply",
+  authenticateToken,
+  requirePermission("stores:reply"),
+  async (req, res) => {
+    try {
+      const deleted = await ratingModel.deleteReply(
+        req.params.ratingId,
+        req.params.id
+      );
+
+      if (!deleted) {
+        return res.status(404).json({ message: "Reply not found" });
+      }
+
+      res.json({ message: "Reply deleted successfully" });
+    } catch (error) {
+      console.error("Delete reply error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
 // Get store statistics
 router.get("/stats/overview", authenticateToken, async (req, res) => {
   try {
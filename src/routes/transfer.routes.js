@@ -0,0 +1,138 @@
+const express = require("express");
+const transferModel = require("../models/transfer.model");
+const { authenticateToken, getRolePermissions } = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+// Transfers are started from POST /api/stores/:id/transfers,
+// these routes let the people involved follow up on them
+router.use(authenticateToken);
+
+router.param("id", requireIntParam("transfer ID"));
+
+// Whether the user may see and cancel every transfer (admins)
+const canManageAllTransfers = async (user) =>
+  (await getRolePermissions(user.role)).includes("stores:transfer");
+
+// Whether the user takes part in a transfer
+const isInvolved = (transfer, userId) =>
+  [transfer.fromOwnerId, transfer.toOwnerId, transfer.initiatedBy].includes(
+    userId
+  );
+
+// List transfers the user is involved in (admins see all of them)
+// Optional ?status= and ?storeId= filters
+router.get("/", async (req, res) => {
+  try {
+    const { status, storeId } = req.query;
+    const userId = (await canManageAllTransfers(req.user))
+      ? undefined
+      : req.user.id;
+
+    const transfers = await transferModel.getTransfers({
+      userId,
+      status,
+      storeId,
+    });
+    res.json({ transfers });
+  } catch (error) {
+    console.error("Get transfers error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get a transfer
+router.get("/:id", async (req, res) => {
+  try {
+    const transfer = await transferModel.getTransferById(req.params.id);
+
+    if (
+      !transfer ||
+      (!isInvolved(transfer, req.user.id) &&
+        !(await canManageAllTransfers(req.user)))
+    ) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    res.json({ transfer });
+  } catch (error) {
+    console.error("Get transfer error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Accept a transfer (recipient only), the store changes owner immediately
+router.post("/:id/accept", async (req, res) => {
+  try {
+    const transfer = await transferModel.acceptTransfer(
+      parseInt(req.params.id, 10),
+      req.user.id
+    );
+
+    res.json({ message: "Transfer accepted, you now own the store", transfer });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Accept transfer error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Decline a transfer (recipient only)
+router.post("/:id/decline", async (req, res) => {
+  try {
+    const transfer = await transferModel.getTransferById(req.params.id);
+
+    if (!transfer || transfer.toOwnerId !== req.user.id) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    const declined = await transferModel.closeTransfer(transfer.id, "declined");
+    if (!declined) {
+      return res
+        .status(400)
+        .json({ message: `Transfer has already been ${transfer.status}` });
+    }
+
+    res.json({ message: "Transfer declined", transfer: declined });
+  } catch (error) {
+    console.error("Decline transfer error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Cancel a transfer (the current owner, whoever started it, or an admin)
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const transfer = await transferModel.getTransferById(req.params.id);
+
+    const canCancel =
+      transfer &&
+      (transfer.fromOwnerId === req.user.id ||
+        transfer.initiatedBy === req.user.id ||
+        (await canManageAllTransfers(req.user)));
+
+    if (!canCancel) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    const cancelled = await transferModel.closeTransfer(
+      transfer.id,
+      "cancelled"
+    );
+    if (!cancelled) {
+      return res
+        .status(400)
+        .json({ message: `Transfer has already been ${transfer.status}` });
+    }
+
+    res.json({ message: "Transfer cancelled", transfer: cancelled });
+  } catch (error) {
+    console.error("Cancel transfer error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
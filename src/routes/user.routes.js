@@ -2,40 +2,34 @@ const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcrypt");
 const db = require("../config/db");
-const { authenticateToken, authorizeAdmin } = require("../middleware/auth");
+const userModel = require("../models/user.model");
+const {
+  normalizeAddressInput,
+  toAddressParts,
+  validateAddressInput,
+} = require("../utils/address");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+// Every route here needs the users:manage permission (admins by default)
+const manageUsers = requirePermission("users:manage");
+
+router.param("id", requireIntParam("user ID"));
 
 // Get all users (admin only)
-router.get("/", authenticateToken, authorizeAdmin, async (req, res) => {
+router.get("/", authenticateToken, manageUsers, async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        u.id, 
-        u.name, 
-        u.email, 
-        u.address, 
-        u.role, 
-        u.created_at,
-        s.id as store_id,
-        s.name as store_name
-      FROM 
-        users u
-      LEFT JOIN 
-        stores s ON u.id = s.owner_id
-      ORDER BY 
-        u.name
-    `;
-
-    const result = await db.query(query);
+    const result = await userModel.getAllUsers();
 
     // Format the response
-    const users = result.rows.map((user) => ({
+    const users = result.map((user) => ({
       id: user.id,
       name: user.name,
       email: user.email,
       address: user.address,
+      ...toAddressParts(user),
       role: user.role,
-      storeId: user.store_id,
-      storeName: user.store_name,
+      ...userModel.formatOwnedStores(user),
       createdAt: user.created_at,
     }));
 
@@ -47,36 +41,16 @@ router.get("/", authenticateToken, authorizeAdmin, async (req, res) => {
 });
 
 // Get a specific user (admin only)
-router.get("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
+router.get("/:id", authenticateToken, manageUsers, async (req, res) => {
   try {
     const userId = req.params.id;
 
-    const query = `
-      SELECT 
-        u.id, 
-        u.name, 
-        u.email, 
-        u.address, 
-        u.role, 
-        u.created_at,
-        s.id as store_id,
-        s.name as store_name
-      FROM 
-        users u
-      LEFT JOIN 
-        stores s ON u.id = s.owner_id
-      WHERE 
-        u.id = $1
-    `;
-
-    const result = await db.query(query, [userId]);
+    const user = await userModel.getUserById(userId);
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const user = result.rows[0];
-
     // Get user ratings
     const ratingsQuery = `
       SELECT 
@@ -90,7 +64,7 @@ router.get("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
       JOIN 
         stores s ON r.store_id = s.id
       WHERE 
-        r.user_id = $1
+        r.user_id = $1 AND s.deleted_at IS NULL
       ORDER BY 
         r.created_at DESC
     `;
@@ -104,9 +78,9 @@ router.get("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
         name: user.name,
         email: user.email,
         address: user.address,
+        ...toAddressParts(user),
         role: user.role,
-        storeId: user.store_id,
-        storeName: user.store_name,
+        ...userModel.formatOwnedStores(user),
         createdAt: user.created_at,
         ratings: ratingsResult.rows.map((rating) => ({
           id: rating.id,
@@ -124,9 +98,9 @@ router.get("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
 });
 
 // Create a new user (admin only)
-router.post("/", authenticateToken, authorizeAdmin, async (req, res) => {
+router.post("/", authenticateToken, manageUsers, async (req, res) => {
   try {
-    const { name, email, password, address, role } = req.body;
+    const { name, email, password, role } = req.body;
 
     // Validate inputs
     if (!name || !email || !password || !role) {
@@ -160,11 +134,10 @@ router.post("/", authenticateToken, authorizeAdmin, async (req, res) => {
       });
     }
 
-    // Validate address length (max 400 characters)
-    if (address && address.length > 400) {
-      return res
-        .status(400)
-        .json({ message: "Address must be less than 400 characters" });
+    // Validate address length (max 400 characters) and parts
+    const addressError = validateAddressInput(req.body);
+    if (addressError) {
+      return res.status(400).json({ message: addressError });
     }
 
     // Validate role
@@ -177,14 +150,26 @@ router.post("/", authenticateToken, authorizeAdmin, async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Insert user into database
+    // Insert user into database (accounts created by an admin are pre-verified)
     const query = `
-      INSERT INTO users (name, email, password, address, role)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, name, email, address, role, created_at
+      INSERT INTO users (name, email, password, address, street, city, region, postal_code, country, role, email_verified_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+      RETURNING id, name, email, address, street, city, region, postal_code, country, role, created_at
     `;
 
-    const values = [name, email, hashedPassword, address, role];
+    const addressColumns = normalizeAddressInput(req.body) || {};
+    const values = [
+      name,
+      email,
+      hashedPassword,
+      addressColumns.address || null,
+      addressColumns.street || null,
+      addressColumns.city || null,
+      addressColumns.region || null,
+      addressColumns.postal_code || null,
+      addressColumns.country || null,
+      role,
+    ];
     const result = await db.query(query, values);
 
     res.status(201).json({
@@ -198,10 +183,10 @@ router.post("/", authenticateToken, authorizeAdmin, async (req, res) => {
 });
 
 // Update a user (admin only)
-router.put("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
+router.put("/:id", authenticateToken, manageUsers, async (req, res) => {
   try {
     const userId = req.params.id;
-    const { name, email, password, address, role } = req.body;
+    const { name, email, password, role } = req.body;
 
     // Check if user exists
     const userCheck = await db.query("SELECT * FROM users WHERE id = $1", [
@@ -229,10 +214,9 @@ router.put("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
       }
     }
 
-    if (address && address.length > 400) {
-      return res
-        .status(400)
-        .json({ message: "Address must be less than 400 characters" });
+    const addressError = validateAddressInput(req.body);
+    if (addressError) {
+      return res.status(400).json({ message: addressError });
     }
 
     if (role) {
@@ -278,10 +262,14 @@ router.put("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
       valueIndex++;
     }
 
-    if (address !== undefined) {
-      updateFields.push(`address = $${valueIndex}`);
-      values.push(address);
-      valueIndex++;
+    // Address text and parts are always updated together
+    const addressColumns = normalizeAddressInput(req.body);
+    if (addressColumns) {
+      for (const [column, value] of Object.entries(addressColumns)) {
+        updateFields.push(`${column} = $${valueIndex}`);
+        values.push(value);
+        valueIndex++;
+      }
     }
 
     if (role) {
@@ -301,7 +289,7 @@ router.put("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
       UPDATE users
       SET ${updateFields.join(", ")}
       WHERE id = $${valueIndex}
-      RETURNING id, name, email, address, role, created_at
+      RETURNING id, name, email, address, street, city, region, postal_code, country, role, created_at
     `;
 
     const result = await db.query(query, values);
@@ -317,7 +305,7 @@ router.put("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
 });
 
 // Delete a user (admin only)
-router.delete("/:id", authenticateToken, authorizeAdmin, async (req, res) => {
+router.delete("/:id", authenticateToken, manageUsers, async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -0,0 +1,209 @@
+const express = require("express");
+const { validationResult, check } = require("express-validator");
+const verificationModel = require("../models/verification.model");
+const { readFile } = require("../utils/storage");
+const {
+  authenticateToken,
+  requirePermission,
+  getRolePermissions,
+} = require("../middleware/auth");
+const { requireIntParam } = require("../middleware/params");
+
+const router = express.Router();
+
+// Requests are submitted with POST /api/stores/:id/verification-requests,
+// these routes are the admin review queue and let owners follow up on theirs
+router.use(authenticateToken);
+
+router.param("id", requireIntParam("verification request ID"));
+router.param("documentId", requireIntParam("document ID"));
+
+// Whether the user reviews verification requests (admins)
+const canReviewVerifications = async (user) =>
+  (await getRolePermissions(user.role)).includes("verifications:review");
+
+// Get a request the user may see (reviewers see all, others their own)
+const getVisibleVerification = async (user, id) => {
+  const verification = await verificationModel.getVerificationById(id);
+
+  if (
+    !verification ||
+    (verification.requestedBy !== user.id &&
+      !(await canReviewVerifications(user)))
+  ) {
+    return null;
+  }
+
+  return verification;
+};
+
+// List verification requests: reviewers see all of them (the queue is
+// ?status=pending), everyone else only their own. Optional ?status= and
+// ?storeId= filters
+router.get("/", async (req, res) => {
+  try {
+    const { status, storeId } = req.query;
+    const requestedBy = (await canReviewVerifications(req.user))
+      ? undefined
+      : req.user.id;
+
+    const verifications = await verificationModel.getVerifications({
+      requestedBy,
+      status,
+      storeId,
+    });
+    res.json({ verifications });
+  } catch (error) {
+    console.error("Get verifications error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get a verification request
+router.get("/:id", async (req, res) => {
+  try {
+    const verification = await getVisibleVerification(req.user, req.params.id);
+
+    if (!verification) {
+      return res
+        .status(404)
+        .json({ message: "Verification request not found" });
+    }
+
+    res.json({ verification });
+  } catch (error) {
+    console.error("Get verification error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Download a document of a verification request
+router.get("/:id/documents/:documentId", async (req, res) => {
+  try {
+    const verification = await getVisibleVerification(req.user, req.params.id);
+    const document =
+      verification &&
+      (await verificationModel.getDocument(
+        verification.id,
+        req.params.documentId
+      ));
+
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    const contents = await readFile(document.storageKey);
+
+    res.setHeader("Content-Type", document.contentType);
+    res.attachment(document.filename);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.send(contents);
+  } catch (error) {
+    console.error("Get verification document error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Approve a request, the store gets the verified badge immediately
+router.post(
+  "/:id/approve",
+  requirePermission("verifications:review"),
+  async (req, res) => {
+    try {
+      const verification = await verificationModel.approveVerification(
+        parseInt(req.params.id, 10),
+        req.user.id
+      );
+
+      res.json({ message: "Store verified", verification });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Approve verification error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Reject a request, the reason is shown to the requester
+router.post(
+  "/:id/reject",
+  requirePermission("verifications:review"),
+  [
+    check("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("A rejection reason is required")
+      .isLength({ max: 1000 })
+      .withMessage("Reason must be at most 1000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const verification = await verificationModel.getVerificationById(
+        req.params.id
+      );
+      if (!verification) {
+        return res
+          .status(404)
+          .json({ message: "Verification request not found" });
+      }
+
+      const rejected = await verificationModel.rejectVerification(
+        verification.id,
+        req.user.id,
+        req.body.reason
+      );
+      if (!rejected) {
+        return res.status(400).json({
+          message: `Verification request has already been ${verification.status}`,
+        });
+      }
+
+      res.json({ message: "Verification rejected", verification: rejected });
+    } catch (error) {
+      console.error("Reject verification error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Withdraw a request (requester only)
+router.post("/:id/withdraw", async (req, res) => {
+  try {
+    const verification = await verificationModel.getVerificationById(
+      req.params.id
+    );
+
+    if (!verification || verification.requestedBy !== req.user.id) {
+      return res
+        .status(404)
+        .json({ message: "Verification request not found" });
+    }
+
+    const withdrawn = await verificationModel.withdrawVerification(
+      verification.id
+    );
+    if (!withdrawn) {
+      return res.status(400).json({
+        message: `Verification request has already been ${verification.status}`,
+      });
+    }
+
+    res.json({
+      message: "Verification request withdrawn",
+      verification: withdrawn,
+    });
+  } catch (error) {
+    console.error("Withdraw verification error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,22 @@
 const express = require("express");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 const dotenv = require("dotenv");
+const storage = require("./utils/storage");
+const { corsOptions } = require("./config/cors");
 
 // Import routes
 const authRoutes = require("./routes/auth.routes");
 const userRoutes = require("./routes/user.routes");
 const storeRoutes = require("./routes/store.routes");
 const ratingsRoutes = require("./routes/ratings.routes");
+const adminRoutes = require("./routes/admin.routes");
+const invitationRoutes = require("./routes/invitation.routes");
+const transferRoutes = require("./routes/transfer.routes");
+const categoryRoutes = require("./routes/category.routes");
+const claimRoutes = require("./routes/claim.routes");
+const verificationRoutes = require("./routes/verification.routes");
+const brandRoutes = require("./routes/brand.routes");
 
 // Load environment variables
 dotenv.config();
@@ -15,15 +25,24 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Use X-Forwarded-For for req.ip (login throttling) when behind a reverse proxy
+app.set("trust proxy", process.env.TRUST_PROXY === "true");
+
 // Middleware
-app.use(
-  cors({
-    origin: "*",
-    credentials: true,
-  })
+app.use(cors(corsOptions));
+// Store imports parse their own, larger bodies (see store.routes)
+const jsonParser = express.json();
+app.use((req, res, next) =>
+  req.path === "/api/stores/import" ? next() : jsonParser(req, res, next)
 );
-app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+
+// Serve uploaded files when they are kept on local disk
+const storageDriver = storage.getDriver();
+if (storageDriver.name === "local") {
+  app.use(storageDriver.publicPath, express.static(storageDriver.dir));
+}
 
 // Request logger middleware
 app.use((req, res, next) => {
@@ -50,6 +69,13 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/stores", storeRoutes);
 app.use("/api/ratings", ratingsRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/transfers", transferRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/claims", claimRoutes);
+app.use("/api/verifications", verificationRoutes);
+app.use("/api/brands", brandRoutes);
 
 // Root route
 app.get("/", (req, res) => {
@@ -0,0 +1,174 @@
+// Structured address parts and the database columns they are stored in
+const ADDRESS_COLUMNS = {
+  street: "street",
+  city: "city",
+  region: "region",
+  postalCode: "postal_code",
+  country: "country",
+};
+
+const ADDRESS_PART_LIMITS = {
+  street: 200,
+  city: 100,
+  region: 100,
+  postalCode: 20,
+  country: 100,
+};
+
+const clean = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return text.replace(/\s+/g, " ").trim() || null;
+};
+
+/**
+ * Best-effort split of a free-text address into parts. Expects the usual
+ * "street, city, region postal code, country" order; anything it can't
+ * place stays in street.
+ * @param {string} text - Free-text address
+ * @returns {Object} street, city, region, postalCode and country (or null)
+ */
+const parseAddress = (text) => {
+  const parts = String(text || "")
+    .split(/[,\n]/)
+    .map(clean)
+    .filter(Boolean);
+
+  const result = {
+    street: null,
+    city: null,
+    region: null,
+    postalCode: null,
+    country: null,
+  };
+
+  if (parts.length === 0) {
+    return result;
+  }
+
+  if (parts.length >= 4) {
+    result.country = parts.pop();
+  }
+
+  if (parts.length >= 3) {
+    // "NY 10001" -> region NY, postal code 10001 (trailing tokens with digits)
+    const tokens = parts.pop().split(" ");
+    let split = tokens.length;
+    while (split > 0 && /\d/.test(tokens[split - 1])) {
+      split--;
+    }
+    result.region = clean(tokens.slice(0, split).join(" "));
+    result.postalCode = clean(tokens.slice(split).join(" "));
+  }
+
+  if (parts.length >= 2) {
+    result.city = parts.pop();
+  }
+
+  result.street = parts.join(", ");
+  return result;
+};
+
+/**
+ * Format address parts as a single line
+ * @param {Object} parts - street, city, region, postalCode and country
+ * @returns {string|null} Formatted address, or null if every part is empty
+ */
+const formatAddress = ({ street, city, region, postalCode, country }) => {
+  const regionLine = [clean(region), clean(postalCode)]
+    .filter(Boolean)
+    .join(" ");
+  const line = [clean(street), clean(city), regionLine, clean(country)]
+    .filter(Boolean)
+    .join(", ");
+  return line || null;
+};
+
+/**
+ * Turn address input from a request body into column values. Structured
+ * parts win (and are replaced together); a plain `address` string is
+ * parsed. The free-text `address` column is kept as the formatted line.
+ * @param {Object} body - Request body
+ * @returns {Object|null} Column values, or null if the body has no address
+ */
+const normalizeAddressInput = (body) => {
+  const hasParts = Object.keys(ADDRESS_COLUMNS).some(
+    (part) => body[part] !== undefined
+  );
+
+  let parts;
+  if (hasParts) {
+    parts = {};
+    for (const part of Object.keys(ADDRESS_COLUMNS)) {
+      parts[part] = clean(body[part]);
+    }
+  } else if (body.address !== undefined) {
+    parts = parseAddress(body.address);
+  } else {
+    return null;
+  }
+
+  const columns = {
+    address: hasParts ? formatAddress(parts) : clean(body.address),
+  };
+  for (const [part, column] of Object.entries(ADDRESS_COLUMNS)) {
+    columns[column] = parts[part];
+  }
+  return columns;
+};
+
+/**
+ * Pick the address input (free text and/or parts) out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Only the address fields that were sent
+ */
+const pickAddressInput = (body) => {
+  const input = {};
+  for (const field of ["address", ...Object.keys(ADDRESS_COLUMNS)]) {
+    if (body[field] !== undefined) {
+      input[field] = body[field];
+    }
+  }
+  return input;
+};
+
+/**
+ * Check the length limits of address input
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if the input is valid
+ */
+const validateAddressInput = (body) => {
+  if (body.address && String(body.address).length > 400) {
+    return "Address must be less than 400 characters";
+  }
+
+  for (const [part, limit] of Object.entries(ADDRESS_PART_LIMITS)) {
+    if (body[part] && String(body[part]).length > limit) {
+      return `${part} must be at most ${limit} characters`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick the address parts out of a database row for API responses
+ * @param {Object} row - Row with the address columns
+ * @returns {Object} street, city, region, postalCode and country
+ */
+const toAddressParts = (row) => {
+  const parts = {};
+  for (const [part, column] of Object.entries(ADDRESS_COLUMNS)) {
+    parts[part] = row[column] === undefined ? null : row[column];
+  }
+  return parts;
+};
+
+module.exports = {
+  ADDRESS_COLUMNS,
+  parseAddress,
+  formatAddress,
+  normalizeAddressInput,
+  pickAddressInput,
+  validateAddressInput,
+  toAddressParts,
+};
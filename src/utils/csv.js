@@ -0,0 +1,112 @@
+/**
+ * Parse CSV text (RFC 4180: comma separated, fields with commas, quotes or
+ * line breaks wrapped in double quotes, "" for a quote) into records keyed
+ * by the header row. Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records
+ * @throws {Error} If a quoted field isn't closed
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      endRow();
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  const [header = [], ...records] = rows;
+  const columns = header.map((column) => column.trim());
+
+  return records.map((values) =>
+    Object.fromEntries(columns.map((column, index) => [column, values[index]]))
+  );
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    // Lists are ;-separated, as the store import expects them
+    text = value.join(";");
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format values as one CSV line (with the trailing line break). Dates become
+ * ISO strings, arrays ;-separated lists and objects JSON; text that a
+ * spreadsheet would run as a formula is prefixed with a quote.
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(",")}\r\n`;
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
@@ -0,0 +1,51 @@
+// Accepted document formats, recognized by the first bytes of the file
+// (not the client's Content-Type), with the MIME type/extension they are
+// stored with
+const DOCUMENT_FORMATS = [
+  {
+    contentType: "application/pdf",
+    extension: "pdf",
+    matches: (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-",
+  },
+  {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    contentType: "image/png",
+    extension: "png",
+    matches: (buffer) =>
+      buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex")),
+  },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+      buffer.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+const DOCUMENT_MIME_TYPES = DOCUMENT_FORMATS.map(
+  (format) => format.contentType
+);
+
+/**
+ * Work out the format of an uploaded document from its contents
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Object|null} {contentType, extension}, or null if it isn't a PDF
+ * or a JPEG, PNG or WebP image
+ */
+const detectDocumentFormat = (buffer) => {
+  const format = DOCUMENT_FORMATS.find((f) => f.matches(buffer));
+  return format
+    ? { contentType: format.contentType, extension: format.extension }
+    : null;
+};
+
+module.exports = {
+  DOCUMENT_MIME_TYPES,
+  detectDocumentFormat,
+};
@@ -0,0 +1,212 @@
+// Words that say nothing about which shop a name refers to
+const NAME_STOP_WORDS = new Set([
+  "the",
+  "and",
+  "store",
+  "shop",
+  "inc",
+  "llc",
+  "ltd",
+  "co",
+  "company",
+]);
+
+// Common spellings of street types, so "Main Street" matches "Main St."
+const ADDRESS_ABBREVIATIONS = {
+  street: "st",
+  avenue: "ave",
+  road: "rd",
+  boulevard: "blvd",
+  drive: "dr",
+  lane: "ln",
+  court: "ct",
+  place: "pl",
+  square: "sq",
+  highway: "hwy",
+  suite: "ste",
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+};
+
+// Shared mail providers: two stores using gmail.com aren't related
+const FREE_EMAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "yahoo.com",
+  "hotmail.com",
+  "outlook.com",
+  "live.com",
+  "icloud.com",
+  "aol.com",
+  "protonmail.com",
+  "proton.me",
+]);
+
+// How much each signal counts towards the score of a pair
+const WEIGHTS = { name: 0.5, address: 0.3, emailDomain: 0.2 };
+
+// A signal at or above this similarity is listed as a reason
+const MATCH_THRESHOLD = 0.8;
+
+const DEFAULT_MIN_SCORE = 0.6;
+
+// Lowercase words without accents or punctuation
+const toWords = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+/**
+ * Normalize a store name for comparison ("The Corner Shop, Inc." -> "corner")
+ * @param {string} name - Store name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (name) => {
+  const words = toWords(name);
+  const significant = words.filter((word) => !NAME_STOP_WORDS.has(word));
+  // A name made only of stop words is still a name
+  return (significant.length ? significant : words).join(" ");
+};
+
+/**
+ * Normalize an address for comparison ("12 Main Street." -> "12 main st")
+ * @param {string} address - Free-text address
+ * @returns {string} Normalized address
+ */
+const normalizeAddress = (address) =>
+  toWords(address)
+    .map((word) => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(" ");
+
+/**
+ * Domain of an email address, or null for shared mail providers
+ * @param {string} email - Email address
+ * @returns {string|null} Domain
+ */
+const getEmailDomain = (email) => {
+  const domain = (String(email || "").split("@")[1] || "").trim().toLowerCase();
+  return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+};
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, "");
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+};
+
+/**
+ * Similarity of two normalized strings between 0 and 1 (Sorensen-Dice
+ * coefficient of their character bigrams)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity
+ */
+const similarity = (a, b) => {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  if (first.length === 0 || second.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const pair of first) {
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (const pair of second) {
+    const count = counts.get(pair);
+    if (count) {
+      shared++;
+      counts.set(pair, count - 1);
+    }
+  }
+
+  return (2 * shared) / (first.length + second.length);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find pairs of stores that are probably the same shop. Each pair is
+ * scored from the similarity of the normalized names, the addresses and
+ * whether the email domains match.
+ * @param {Array} stores - Stores with id, name, email and address
+ * @param {Object} [options] - Options
+ * @param {number} [options.minScore] - Lowest score (0-1) to report
+ * @returns {Array} Pairs as {storeIds, score, reasons, similarity}, highest
+ * score first
+ */
+const findDuplicateCandidates = (
+  stores,
+  { minScore = DEFAULT_MIN_SCORE } = {}
+) => {
+  const prepared = stores.map((store) => ({
+    id: store.id,
+    name: normalizeName(store.name),
+    address: normalizeAddress(store.address),
+    emailDomain: getEmailDomain(store.email),
+  }));
+
+  const candidates = [];
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length; j++) {
+      const a = prepared[i];
+      const b = prepared[j];
+
+      const scores = {
+        name: similarity(a.name, b.name),
+        address: similarity(a.address, b.address),
+        emailDomain: a.emailDomain && a.emailDomain === b.emailDomain ? 1 : 0,
+      };
+      const score = Object.keys(WEIGHTS).reduce(
+        (total, signal) => total + WEIGHTS[signal] * scores[signal],
+        0
+      );
+
+      if (score >= minScore) {
+        candidates.push({
+          storeIds: [a.id, b.id],
+          score: round(score),
+          reasons: Object.keys(scores).filter(
+            (signal) => scores[signal] >= MATCH_THRESHOLD
+          ),
+          similarity: {
+            name: round(scores.name),
+            address: round(scores.address),
+            emailDomain: scores.emailDomain,
+          },
+        });
+      }
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  normalizeName,
+  normalizeAddress,
+  getEmailDomain,
+  similarity,
+  findDuplicateCandidates,
+};
@@ -0,0 +1,86 @@
+const { formatCsvRow } = require("./csv");
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// Rows read from the database per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+/**
+ * Start a streamed download of rows as CSV (with a header row of the
+ * columns) or NDJSON (one JSON object per line).
+ * @param {Object} res - Express response
+ * @param {Object} options - Export options
+ * @param {string} options.name - File name without the extension
+ * @param {string} options.format - csv or ndjson
+ * @param {Array<string>} options.columns - Row fields, in CSV column order
+ * @returns {Object} Writer with writeRows(rows) (resolves once the response
+ * can take more, rejects if the client went away) and end()
+ */
+const createExportWriter = (res, { name, format, columns }) => {
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const abortedError = () => new Error("Export download was aborted");
+
+  const write = (chunk) => {
+    if (closed) {
+      return Promise.reject(abortedError());
+    }
+    if (res.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    // Wait for the client to catch up, or give up if it disconnects first
+    return new Promise((resolve, reject) => {
+      const settle = (callback) => () => {
+        res.off("drain", onDrain);
+        res.off("close", onAbort);
+        res.off("error", onAbort);
+        callback();
+      };
+      const onDrain = settle(resolve);
+      const onAbort = settle(() => reject(abortedError()));
+
+      res.once("drain", onDrain);
+      res.once("close", onAbort);
+      res.once("error", onAbort);
+    });
+  };
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${name}.${format}"`
+  );
+
+  if (format === "csv") {
+    res.write(formatCsvRow(columns));
+  }
+
+  return {
+    writeRows: (rows) =>
+      write(
+        rows
+          .map((row) =>
+            format === "csv"
+              ? formatCsvRow(columns.map((column) => row[column]))
+              : `${JSON.stringify(row)}\n`
+          )
+          .join("")
+      ),
+    end: () => res.end(),
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  createExportWriter,
+};
@@ -0,0 +1,156 @@
+const fs = require("fs");
+require("dotenv").config();
+
+// Offline coordinates for the sample data, used by the static provider
+// when no GEOCODER_STATIC_FILE is configured
+const DEFAULT_STATIC_ENTRIES = {
+  "123 coffee street": { latitude: 40.7128, longitude: -74.006 },
+  "456 book avenue": { latitude: 40.7306, longitude: -73.9866 },
+  "789 tech boulevard": { latitude: 40.758, longitude: -73.9855 },
+};
+
+// Addresses are matched case- and whitespace-insensitively
+const normalizeAddress = (address) =>
+  String(address || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Static provider - looks addresses up in a fixed table (offline, tests)
+ * @param {Object} [entries] - Map of address to {latitude, longitude},
+ * defaults to the JSON file in GEOCODER_STATIC_FILE or the sample data
+ * @returns {Object} Provider with a geocode(address) method
+ */
+const createStaticProvider = (entries) => {
+  if (!entries) {
+    entries = process.env.GEOCODER_STATIC_FILE
+      ? JSON.parse(fs.readFileSync(process.env.GEOCODER_STATIC_FILE, "utf8"))
+      : DEFAULT_STATIC_ENTRIES;
+  }
+
+  const table = new Map(
+    Object.entries(entries).map(([address, coords]) => [
+      normalizeAddress(address),
+      coords,
+    ])
+  );
+
+  return {
+    name: "static",
+    geocode: async (address) => table.get(normalizeAddress(address)) || null,
+  };
+};
+
+/**
+ * Nominatim provider - OpenStreetMap's public geocoding API (production).
+ * Requests give up after GEOCODER_TIMEOUT_MS so a slow API can't hold up
+ * saving a store.
+ * @returns {Object} Provider with a geocode(address) method
+ */
+const createNominatimProvider = () => {
+  const baseUrl =
+    process.env.GEOCODER_URL || "https://nominatim.openstreetmap.org/search";
+  const timeoutMs = parseInt(process.env.GEOCODER_TIMEOUT_MS || "5000", 10);
+
+  return {
+    name: "nominatim",
+    geocode: async (address) => {
+      const params = new URLSearchParams({
+        q: address,
+        format: "json",
+        limit: "1",
+      });
+      const response = await fetch(`${baseUrl}?${params.toString()}`, {
+        headers: {
+          "User-Agent": process.env.GEOCODER_USER_AGENT || "store-rating-app",
+        },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Geocoding failed with status ${response.status}`);
+      }
+
+      const results = await response.json();
+      if (!results.length) {
+        return null;
+      }
+
+      return {
+        latitude: parseFloat(results[0].lat),
+        longitude: parseFloat(results[0].lon),
+      };
+    },
+  };
+};
+
+/**
+ * Disabled provider - never resolves an address
+ * @returns {Object} Provider with a geocode(address) method
+ */
+const createNoneProvider = () => ({
+  name: "none",
+  geocode: async () => null,
+});
+
+const providerFactories = {
+  static: createStaticProvider,
+  nominatim: createNominatimProvider,
+  none: createNoneProvider,
+};
+
+/**
+ * Create a provider by name (GEOCODER: static, nominatim or none)
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+const createProvider = (name) => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+  return factory();
+};
+
+let provider = null;
+
+/**
+ * Replace the active provider (e.g. with a static table in tests)
+ * @param {Object} newProvider - Object with a geocode(address) method
+ */
+const setProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+/**
+ * Get the active provider, creating it from GEOCODER on first use
+ * @returns {Object} Provider
+ */
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider(process.env.GEOCODER || "static");
+  }
+  return provider;
+};
+
+/**
+ * Resolve an address to coordinates through the active provider
+ * @param {string} address - Free-text address
+ * @returns {Promise<{latitude: number, longitude: number}|null>}
+ * Coordinates, or null if the address couldn't be resolved
+ */
+const geocode = async (address) => {
+  if (!normalizeAddress(address)) {
+    return null;
+  }
+  return getProvider().geocode(address);
+};
+
+module.exports = {
+  createProvider,
+  createStaticProvider,
+  setProvider,
+  getProvider,
+  geocode,
+};
@@ -97,14 +97,20 @@ const calculateAverageRating = (ratings) => {
 };
 
 /**
- * Strip sensitive data from user object
+ * Strip sensitive data (password hash, two-factor secrets) from user object
  * @param {Object} user - User object
  * @returns {Object} User object without sensitive data
  */
 const sanitizeUser = (user) => {
   if (!user) return null;
 
-  const { password, ...sanitizedUser } = user;
+  const {
+    password,
+    totp_secret,
+    totp_pending_secret,
+    totp_last_used_step,
+    ...sanitizedUser
+  } = user;
   return sanitizedUser;
 };
 
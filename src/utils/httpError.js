@@ -0,0 +1,13 @@
+/**
+ * Build an error carrying an HTTP status code for the route to return
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = httpError;
@@ -0,0 +1,76 @@
+const sharp = require("sharp");
+
+// Accepted photo formats (as detected from the file contents, not the
+// client's Content-Type) and the MIME type/extension they are stored with
+const PHOTO_FORMATS = {
+  jpeg: { contentType: "image/jpeg", extension: "jpg" },
+  png: { contentType: "image/png", extension: "png" },
+  webp: { contentType: "image/webp", extension: "webp" },
+};
+
+const PHOTO_MIME_TYPES = Object.values(PHOTO_FORMATS).map(
+  (format) => format.contentType
+);
+
+// Photos are scaled down to fit this size, thumbnails are cropped squares
+const MAX_PHOTO_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Check an uploaded photo and prepare it for storage: the image is rotated
+ * according to its EXIF orientation, scaled down if it is very large and
+ * re-encoded (which also drops EXIF data such as GPS positions). A square
+ * JPEG thumbnail is generated alongside it.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object|null>} {photo, thumbnail}, each with buffer,
+ * contentType, extension, width and height; null if the file isn't a
+ * supported image
+ */
+const processPhoto = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    return null;
+  }
+
+  const format = PHOTO_FORMATS[metadata.format];
+  if (!format) {
+    return null;
+  }
+
+  const photo = await sharp(buffer)
+    .rotate()
+    .resize(MAX_PHOTO_DIMENSION, MAX_PHOTO_DIMENSION, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+    .jpeg({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    photo: {
+      buffer: photo.data,
+      ...format,
+      width: photo.info.width,
+      height: photo.info.height,
+    },
+    thumbnail: {
+      buffer: thumbnail.data,
+      ...PHOTO_FORMATS.jpeg,
+      width: thumbnail.info.width,
+      height: thumbnail.info.height,
+    },
+  };
+};
+
+module.exports = {
+  PHOTO_MIME_TYPES,
+  processPhoto,
+};
@@ -0,0 +1,128 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("dotenv").config();
+
+const MAIL_FROM = process.env.MAIL_FROM || "Store Rating <no-reply@storerating.local>";
+
+/**
+ * Console transport - prints messages to stdout (local development)
+ * @returns {Object} Transport with a send(message) method
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log("=== Outgoing email ===");
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log("======================");
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+/**
+ * File transport - writes each message as a JSON file (local development and tests)
+ * @param {string} dir - Output directory
+ * @returns {Object} Transport with a send(message) method
+ */
+const createFileTransport = (
+  dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "store-rating-mail")
+) => ({
+  name: "file",
+  dir,
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const file = path.join(dir, `${messageId}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return { messageId, file };
+  },
+});
+
+/**
+ * SMTP transport backed by nodemailer (production)
+ * @returns {Object} Transport with a send(message) method
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+/**
+ * Create a transport by name (MAIL_TRANSPORT: console, file or smtp)
+ * @param {string} name - Transport name
+ * @returns {Object} Transport
+ */
+const createTransport = (name) => {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+};
+
+let transport = null;
+
+/**
+ * Replace the active transport (e.g. with a custom or in-memory transport)
+ * @param {Object} newTransport - Object with a send(message) method
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Get the active transport, creating it from MAIL_TRANSPORT on first use.
+ * Production must name a transport: falling back to the console would
+ * print reset and verification links to the logs.
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+      throw new Error("MAIL_TRANSPORT must be set in production");
+    }
+    transport = createTransport(process.env.MAIL_TRANSPORT || "console");
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - HTML body
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+};
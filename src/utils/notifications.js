@@ -0,0 +1,71 @@
+const mailer = require("./mailer");
+
+// Base URL of the frontend, used to build links sent by email
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Notification types
+const NOTIFICATIONS = {
+  // {reply, reviewer: {id, name, email}, storeId, storeName}
+  RATING_REPLY: "rating_reply",
+};
+
+// Listeners by notification type
+const listeners = new Map();
+
+/**
+ * Register a listener for a notification type (e.g. to deliver it through
+ * another channel than email)
+ * @param {string} type - One of NOTIFICATIONS
+ * @param {Function} listener - Called with the notification payload
+ * @returns {Function} Removes the listener again
+ */
+const onNotification = (type, listener) => {
+  listeners.set(type, [...(listeners.get(type) || []), listener]);
+  return () => {
+    listeners.set(
+      type,
+      (listeners.get(type) || []).filter((l) => l !== listener)
+    );
+  };
+};
+
+/**
+ * Pass a notification to every listener of its type. Listener failures
+ * are logged and never reach the caller.
+ * @param {string} type - One of NOTIFICATIONS
+ * @param {Object} payload - Notification details
+ * @returns {Promise<void>}
+ */
+const notify = async (type, payload) => {
+  const results = await Promise.allSettled(
+    (listeners.get(type) || []).map(async (listener) => listener(payload))
+  );
+
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.error(`Notification error (${type}):`, result.reason);
+    }
+  }
+};
+
+// Email reviewers when the store replies to their rating
+onNotification(
+  NOTIFICATIONS.RATING_REPLY,
+  async ({ reply, reviewer, storeId, storeName }) => {
+    await mailer.sendMail({
+      to: reviewer.email,
+      subject: `${storeName} replied to your review`,
+      text:
+        `Hello ${reviewer.name},\n\n` +
+        `${storeName} replied to your review:\n\n` +
+        `${reply.body}\n\n` +
+        `See it on the store page: ${FRONTEND_URL}/stores/${storeId}`,
+    });
+  }
+);
+
+module.exports = {
+  NOTIFICATIONS,
+  onNotification,
+  notify,
+};
@@ -0,0 +1,206 @@
+// Weekly opening hours and holiday exceptions, evaluated in the store's
+// time zone. Hours are "HH:MM" strings; a closing time at or before the
+// opening time means the store closes after midnight.
+const DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// How far ahead nextOpenAt looks
+const LOOKAHEAD_DAYS = 14;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a string is a valid "HH:MM" time
+ * @param {string} value - Time string
+ * @returns {boolean}
+ */
+const isValidTime = (value) => TIME_PATTERN.test(String(value));
+
+/**
+ * Check whether a string is a valid YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(String(value))) {
+    return false;
+  }
+  // Rejects dates like 2026-02-30 that Date would roll over
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Check whether a string is an IANA time zone known to the runtime
+ * @param {string} timeZone - e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).slice(0, 5).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calendar date and wall clock time of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return parts;
+};
+
+// Convert a wall clock time in a time zone to a UTC Date
+const zonedTimeToUtc = (year, month, day, minutes, timeZone) => {
+  const wallClock = Date.UTC(
+    year,
+    month - 1,
+    day,
+    Math.floor(minutes / 60),
+    minutes % 60
+  );
+
+  const offsetAt = (instant) => {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return (
+      Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant
+    );
+  };
+
+  // Correct once more in case the guess fell on the other side of a DST change
+  let utc = wallClock - offsetAt(wallClock);
+  utc = wallClock - offsetAt(utc);
+  return new Date(utc);
+};
+
+// Calendar day `offset` days after the given date as {year, month, day, key, weekday}
+const addDays = ({ year, month, day }, offset) => {
+  const date = new Date(Date.UTC(year, month - 1, day + offset));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    key: date.toISOString().slice(0, 10),
+    weekday: date.getUTCDay(),
+  };
+};
+
+// Opening intervals of a calendar day in minutes, holiday exceptions first
+const getIntervalsForDay = (schedule, calendarDay) => {
+  const exception = (schedule.exceptions || []).find(
+    (e) => e.date === calendarDay.key
+  );
+
+  const periods = exception
+    ? exception.closed
+      ? []
+      : [{ opens: exception.opens, closes: exception.closes }]
+    : (schedule.hours || []).filter((h) => h.day === DAYS[calendarDay.weekday]);
+
+  return periods
+    .map(({ opens, closes }) => {
+      const start = toMinutes(opens);
+      let end = toMinutes(closes);
+      if (end <= start) {
+        end += 24 * 60; // closes after midnight
+      }
+      return { start, end };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Work out whether a store is open and when it opens next
+ * @param {Object} schedule - Store schedule
+ * @param {string} schedule.timeZone - IANA time zone of the store
+ * @param {Array} schedule.hours - [{day: "monday", opens: "09:00", closes: "17:00"}]
+ * @param {Array} [schedule.exceptions] - [{date: "2026-12-25", closed: true}]
+ * or [{date, opens, closes}] for special hours
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {{isOpenNow: boolean|null, nextOpenAt: Date|null}} isOpenNow is
+ * null when the store has no hours at all; nextOpenAt is null while the
+ * store is open or when it doesn't open within the next two weeks
+ */
+const getOpeningStatus = (schedule, now = new Date()) => {
+  const hasHours =
+    (schedule.hours && schedule.hours.length > 0) ||
+    (schedule.exceptions && schedule.exceptions.length > 0);
+  if (!hasHours) {
+    return { isOpenNow: null, nextOpenAt: null };
+  }
+
+  const timeZone = schedule.timeZone || "UTC";
+  const local = getZonedParts(now, timeZone);
+  const today = addDays(local, 0);
+  const nowMinutes = local.hour * 60 + local.minute;
+
+  // Open if inside one of today's intervals or yesterday's past midnight
+  const isOpenNow =
+    getIntervalsForDay(schedule, today).some(
+      ({ start, end }) => nowMinutes >= start && nowMinutes < end
+    ) ||
+    getIntervalsForDay(schedule, addDays(local, -1)).some(
+      ({ end }) => nowMinutes + 24 * 60 < end
+    );
+
+  if (isOpenNow) {
+    return { isOpenNow, nextOpenAt: null };
+  }
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const calendarDay = addDays(local, offset);
+    const next = getIntervalsForDay(schedule, calendarDay).find(
+      ({ start }) => offset > 0 || start > nowMinutes
+    );
+
+    if (next) {
+      return {
+        isOpenNow,
+        nextOpenAt: zonedTimeToUtc(
+          calendarDay.year,
+          calendarDay.month,
+          calendarDay.day,
+          next.start,
+          timeZone
+        ),
+      };
+    }
+  }
+
+  return { isOpenNow, nextOpenAt: null };
+};
+
+module.exports = {
+  DAYS,
+  isValidTime,
+  isValidDate,
+  isValidTimeZone,
+  getOpeningStatus,
+};
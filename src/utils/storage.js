@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+// Keys are relative paths like "stores/1/abc.jpg"; anything that could
+// escape the storage root is rejected
+const assertSafeKey = (key) => {
+  const normalized = path.posix.normalize(String(key));
+  if (
+    !normalized ||
+    normalized.startsWith("..") ||
+    path.posix.isAbsolute(normalized)
+  ) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+// Files with keys under private/ (e.g. verification documents) have no
+// public URL; they are read with readFile and sent by authorized routes
+const PRIVATE_PREFIX = "private/";
+
+const isPrivateKey = (key) => assertSafeKey(key).startsWith(PRIVATE_PREFIX);
+
+/**
+ * Local disk driver - stores files under STORAGE_DIR and serves them from
+ * STORAGE_PUBLIC_PATH (default /uploads) through express.static. Private
+ * files go to STORAGE_PRIVATE_DIR, outside the served directory.
+ * @param {string} dir - Root directory for stored files
+ * @param {string} privateDir - Root directory for private files
+ * @returns {Object} Driver with save, read, remove and getUrl methods
+ */
+const createLocalDriver = (
+  dir = process.env.STORAGE_DIR || path.join(process.cwd(), "uploads"),
+  privateDir = process.env.STORAGE_PRIVATE_DIR ||
+    path.join(process.cwd(), "private-uploads")
+) => {
+  const publicPath = process.env.STORAGE_PUBLIC_PATH || "/uploads";
+  const baseUrl = (process.env.STORAGE_PUBLIC_URL || publicPath).replace(
+    /\/$/,
+    ""
+  );
+
+  const resolveFile = (key) =>
+    isPrivateKey(key)
+      ? path.join(privateDir, assertSafeKey(key).slice(PRIVATE_PREFIX.length))
+      : path.join(dir, assertSafeKey(key));
+
+  return {
+    name: "local",
+    dir,
+    publicPath,
+    save: async (key, buffer) => {
+      const file = resolveFile(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    read: (key) => fs.promises.readFile(resolveFile(key)),
+    remove: async (key) => {
+      await fs.promises.rm(resolveFile(key), { force: true });
+    },
+    getUrl: (key) => {
+      if (isPrivateKey(key)) {
+        throw new Error(`Private files have no public URL: ${key}`);
+      }
+      return `${baseUrl}/${assertSafeKey(key)}`;
+    },
+  };
+};
+
+const driverFactories = {
+  local: createLocalDriver,
+};
+
+/**
+ * Create a driver by name (STORAGE_DRIVER: local)
+ * @param {string} name - Driver name
+ * @returns {Object} Driver
+ */
+const createDriver = (name) => {
+  const factory = driverFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return factory();
+};
+
+let driver = null;
+
+/**
+ * Replace the active driver (e.g. with an object storage or in-memory driver)
+ * @param {Object} newDriver - Object with save(key, buffer, contentType),
+ * read(key), remove(key) and getUrl(key) methods
+ */
+const setDriver = (newDriver) => {
+  driver = newDriver;
+};
+
+/**
+ * Get the active driver, creating it from STORAGE_DRIVER on first use
+ * @returns {Object} Driver
+ */
+const getDriver = () => {
+  if (!driver) {
+    driver = createDriver(process.env.STORAGE_DRIVER || "local");
+  }
+  return driver;
+};
+
+/**
+ * Store a file through the active driver
+ * @param {string} key - Relative path of the file
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - MIME type
+ * @returns {Promise<void>}
+ */
+const saveFile = (key, buffer, contentType) =>
+  getDriver().save(key, buffer, contentType);
+
+/**
+ * Read a file through the active driver
+ * @param {string} key - Relative path of the file
+ * @returns {Promise<Buffer>} File contents
+ */
+const readFile = (key) => getDriver().read(key);
+
+/**
+ * Remove a file through the active driver (missing files are ignored)
+ * @param {string} key - Relative path of the file
+ * @returns {Promise<void>}
+ */
+const removeFile = (key) => getDriver().remove(key);
+
+/**
+ * Public URL of a stored file
+ * @param {string} key - Relative path of the file
+ * @returns {string} URL
+ */
+const getFileUrl = (key) => getDriver().getUrl(key);
+
+module.exports = {
+  createDriver,
+  setDriver,
+  getDriver,
+  PRIVATE_PREFIX,
+  saveFile,
+  readFile,
+  removeFile,
+  getFileUrl,
+};
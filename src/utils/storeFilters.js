@@ -0,0 +1,80 @@
+const { check } = require("express-validator");
+
+// Query string filters of the store list, shared with the store export
+
+// Default search radius for ?near= in km
+const DEFAULT_RADIUS_KM = 10;
+
+// Validation rules for the store list query string
+const storeListValidation = [
+  check("near")
+    .optional()
+    .matches(/^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/)
+    .withMessage("near must be formatted as lat,lng")
+    .custom((value) => {
+      const [lat, lng] = value.split(",").map(Number);
+      return Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+    })
+    .withMessage("near must be a valid latitude and longitude"),
+  check("radius")
+    .optional()
+    .isFloat({ gt: 0, max: 20000 })
+    .withMessage("radius must be a distance in km between 0 and 20000"),
+  check("sort")
+    .optional()
+    .isIn(["name", "distance"])
+    .withMessage("sort must be name or distance"),
+  check("openNow")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("openNow must be true or false"),
+  check("verified")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("verified must be true or false"),
+  check("brandId")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("brandId must be a brand ID"),
+];
+
+// Parse a comma-separated (or repeated) query parameter into a list
+const parseListParam = (value) =>
+  []
+    .concat(value || [])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Read the store list filters from the query string
+const getStoreFilters = (query) => {
+  const filters = {
+    categories: parseListParam(query.category),
+    tags: parseListParam(query.tag),
+    cities: parseListParam(query.city),
+    regions: parseListParam(query.region),
+    sort: query.sort,
+    openNow: query.openNow === undefined ? undefined : query.openNow === "true",
+    verified:
+      query.verified === undefined ? undefined : query.verified === "true",
+    brandId: query.brandId ? parseInt(query.brandId, 10) : undefined,
+  };
+
+  if (query.near) {
+    const [latitude, longitude] = query.near.split(",").map(Number);
+    filters.near = {
+      latitude,
+      longitude,
+      radiusKm: query.radius ? parseFloat(query.radius) : DEFAULT_RADIUS_KM,
+    };
+  }
+
+  return filters;
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  storeListValidation,
+  parseListParam,
+  getStoreFilters,
+};
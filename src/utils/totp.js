@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults used by common authenticator apps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode a buffer as RFC 4648 base32 (without padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding optional)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 TOTP secret (160 bits)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the HOTP code for a counter value (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter (time step for TOTP)
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number} Time step
+ */
+const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {string} TOTP code
+ */
+const generateTotp = (secret, timestamp = Date.now()) =>
+  generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window=1] - Accepted steps before/after now
+ * @param {number} [options.timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+const verifyTotp = (
+  secret,
+  code,
+  { window = 1, timestamp = Date.now() } = {}
+) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator app enrollment (QR code)
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Account label, usually the email
+ * @param {string} [options.issuer] - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({
+  secret,
+  accountName,
+  issuer = process.env.TOTP_ISSUER || "Store Rating",
+}) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
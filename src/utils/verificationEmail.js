@@ -0,0 +1,34 @@
+const tokenModel = require("../models/token.model");
+const mailer = require("./mailer");
+
+// Base URL of the frontend, used to build links sent by email
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+/**
+ * Send an email verification link to a user
+ * @param {Object} user - User with id, name and email
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, expiresAt } = await tokenModel.createEmailVerificationToken(
+    user.id
+  );
+  const verifyLink = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(
+    token
+  )}`;
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hello ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n` +
+      `${verifyLink}\n\n` +
+      `This link expires at ${expiresAt.toISOString()}. ` +
+      `If you did not create an account, you can ignore this email.`,
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+};